@@ -0,0 +1,280 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Local control API, so Stream Deck buttons, macro pads and dashboards can
+// drive and watch the solver. It listens on 127.0.0.1 only and every request
+// needs the configured token, as `Authorization: Bearer <token>` or
+// `?token=<token>` (a browser cannot set headers on a WebSocket).
+//
+//   GET   /status   run state, watch mode, input backend and templates
+//   POST  /start    start a solve; 409 while one is running
+//   POST  /stop     cancel the running solve
+//   GET   /result   the last finished run, as recorded in the run history
+//   GET   /config   current settings
+//   PATCH /config   change settings, validated like the settings panel
+//   GET   /events   WebSocket streaming the renderer's events as { event, data }
+//
+// Responses are JSON in the { success, error } shape of the IPC handlers. No
+// CORS headers are sent, so web pages the user visits cannot read from it.
+const HOST = '127.0.0.1';
+const MAX_BODY = 64 * 1024;
+// Appended to the client's key in the WebSocket handshake (RFC 6455)
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Unmasked server frame: FIN + opcode, then the length in 7, 16 or 64 bits
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (err) {
+        reject(new Error(`Invalid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// handlers: status(), start() -> false when busy, stop() -> cancelled,
+// result(), getConfig() and setConfig(patch), which throws on a bad patch
+function createControlApi(handlers) {
+  let server = null;
+  let port = null;
+  let token = '';
+  let error = null;
+  const clients = new Set();
+
+  const routes = {
+    'GET /status': async () => [200, { success: true, ...handlers.status() }],
+    'POST /start': async () => (handlers.start()
+      ? [202, { success: true }]
+      : [409, { success: false, error: 'A run is already in progress' }]),
+    'POST /stop': async () => [200, { success: true, cancelled: handlers.stop() }],
+    'GET /result': async () => [200, { success: true, result: handlers.result() }],
+    'GET /config': async () => [200, { success: true, config: handlers.getConfig() }],
+    'PATCH /config': async (req) => {
+      try {
+        return [200, { success: true, config: await handlers.setConfig(await readJson(req)) }];
+      } catch (err) {
+        return [400, { success: false, error: err.message }];
+      }
+    }
+  };
+
+  // A site rebinding its own name to 127.0.0.1 still sends that name as Host
+  function isLocalHost(req) {
+    return req.headers.host === `${HOST}:${port}` || req.headers.host === `localhost:${port}`;
+  }
+
+  // With no token configured nothing is authorized
+  function isAuthorized(req, url) {
+    if (!token) return false;
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '');
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Status code that refuses a request, or 0 to let it through
+  function refusal(req, url) {
+    if (!isLocalHost(req)) return 403;
+    if (!isAuthorized(req, url)) return 401;
+    return 0;
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${HOST}`);
+    const refused = refusal(req, url);
+    if (refused) return send(res, refused, { success: false, error: refused === 401 ? 'Invalid token' : 'Forbidden' });
+    if (url.pathname === '/events') return send(res, 426, { success: false, error: 'Connect to /events with a WebSocket' });
+
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) return send(res, 404, { success: false, error: `No route for ${req.method} ${url.pathname}` });
+    try {
+      const [status, body] = await route(req);
+      send(res, status, body);
+    } catch (err) {
+      console.error('Control API error:', err);
+      send(res, 500, { success: false, error: err.message });
+    }
+  }
+
+  // Client frames are only read for close and ping; anything else is ignored
+  function readFrames(socket) {
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      while (buffered.length >= 2) {
+        const opcode = buffered[0] & 0x0f;
+        const masked = (buffered[1] & 0x80) !== 0;
+        let length = buffered[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+          if (buffered.length < 4) return;
+          length = buffered.readUInt16BE(2);
+          offset = 4;
+        } else if (length === 127) {
+          if (buffered.length < 10) return;
+          length = Number(buffered.readBigUInt64BE(2));
+          offset = 10;
+        }
+        if (length > MAX_BODY) {
+          socket.destroy();
+          return;
+        }
+        const mask = masked ? buffered.subarray(offset, offset + 4) : null;
+        if (masked) offset += 4;
+        if (buffered.length < offset + length) return;
+
+        const payload = Buffer.from(buffered.subarray(offset, offset + length));
+        if (mask) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+        buffered = buffered.subarray(offset + length);
+
+        if (opcode === OPCODES.close) {
+          clients.delete(socket);
+          socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+          return;
+        }
+        if (opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, payload));
+      }
+    });
+  }
+
+  function handleUpgrade(req, socket) {
+    const url = new URL(req.url, `http://${HOST}`);
+    const key = req.headers['sec-websocket-key'];
+    const refused = refusal(req, url) || (url.pathname !== '/events' ? 404 : 0) || (!key ? 400 : 0);
+    if (refused) {
+      socket.end(`HTTP/1.1 ${refused} ${http.STATUS_CODES[refused]}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+    readFrames(socket);
+  }
+
+  function disconnectClients() {
+    for (const socket of clients) socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+    clients.clear();
+  }
+
+  // Stops listening right away; a request still in flight (e.g. the PATCH that
+  // turned the API off) finishes on its own connection
+  function close() {
+    disconnectClients();
+    if (!server) return;
+    server.close();
+    server.closeIdleConnections();
+    server = null;
+  }
+
+  function listen(nextPort) {
+    return new Promise((resolve, reject) => {
+      const next = http.createServer(handleRequest);
+      next.on('upgrade', handleUpgrade);
+      next.once('error', reject);
+      next.listen(nextPort, HOST, () => {
+        next.off('error', reject);
+        resolve(next);
+      });
+    });
+  }
+
+  function getStatus() {
+    return { running: server !== null, host: HOST, port, clients: clients.size, error };
+  }
+
+  return {
+    // Start, stop or move the server to match { enabled, port, token }.
+    // Clients connected with an old token are dropped. Without a token it
+    // does not listen at all.
+    async configure(settings) {
+      if (!settings.enabled || !settings.token) {
+        close();
+        token = '';
+        error = settings.enabled ? 'No token set' : null;
+        if (error) console.error(`⚠️  Control API not started: ${error}`);
+        return getStatus();
+      }
+      if (settings.token !== token) {
+        token = settings.token;
+        disconnectClients();
+      }
+      if (server && port === settings.port) return getStatus();
+
+      close();
+      port = settings.port;
+      try {
+        server = await listen(port);
+        error = null;
+        console.log(`🌐 Control API listening on http://${HOST}:${port}`);
+      } catch (err) {
+        error = err.code === 'EADDRINUSE' ? `Port ${port} is already in use` : err.message;
+        console.error(`⚠️  Control API not started: ${error}`);
+      }
+      return getStatus();
+    },
+
+    // Send an event to every connected WebSocket client
+    broadcast(event, data) {
+      if (clients.size === 0) return;
+      const frame = encodeFrame(OPCODES.text, Buffer.from(JSON.stringify({ event, data })));
+      for (const socket of clients) socket.write(frame);
+    },
+
+    getStatus,
+
+    stop() {
+      close();
+    }
+  };
+}
+
+module.exports = {
+  createControlApi
+};
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// Detection benchmark: times the letter matcher on one frame, comparing the old
+// per-pixel matcher with the precomputed masks on this thread and in workers.
+//
+//   node bench.js [image.png] [--runs <n>] [--workers <n>] [--config-dir <dir>] [--json]
+//
+// Also runs as `node cli.js bench`, through main(argv).
+//
+// Without an image, a synthetic frame is built from the templates at the
+// configured grid position, so the benchmark runs anywhere.
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const solver = require('./solver');
+const configStore = require('./config');
+const templates = require('./templates');
+const { resolveGeometry, cellRect } = require('./geometry');
+const { MATCH_SIZE } = require('./matcher');
+
+function parseArgs(argv) {
+  const args = { image: null, runs: 20, workers: null, configDir: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--runs') args.runs = Number(argv[++i]);
+    else if (arg === '--workers') args.workers = Number(argv[++i]);
+    else if (arg === '--config-dir') args.configDir = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else if (!args.image) args.image = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!Number.isInteger(args.runs) || args.runs < 1) throw new Error('--runs must be a positive integer');
+  if (args.workers !== null && (!Number.isInteger(args.workers) || args.workers < 1)) {
+    throw new Error('--workers must be a positive integer');
+  }
+  return args;
+}
+
+// Templates pasted into a blank 1920x1080 frame, one per cell, cycling through the labels
+async function syntheticFrame(config) {
+  const geometry = resolveGeometry(config, 1920, 1080);
+  const files = await templates.listTemplateFiles();
+  if (files.length === 0) throw new Error('No templates to build a frame from');
+
+  const composites = [];
+  for (let row = 0; row < geometry.rows; row++) {
+    for (let col = 0; col < geometry.cols; col++) {
+      const file = files[(row * geometry.cols + col) % files.length];
+      const rect = cellRect(geometry, row, col);
+      const input = await sharp(file.png).resize(rect.width, rect.height).png().toBuffer();
+      composites.push({ input, left: rect.left, top: rect.top });
+    }
+  }
+  return sharp({ create: { width: 1920, height: 1080, channels: 3, background: '#000' } })
+    .composite(composites)
+    .png()
+    .toBuffer();
+}
+
+// The fixed cyan thresholds the per-pixel matcher used
+function isCyan(r, g, b) {
+  return b > 100 && g > 80 && r < 140;
+}
+
+// The matcher as it was before masks: classify both images pixel by pixel on every call
+function legacyScore(cell, template) {
+  let matching = 0;
+  let total = 0;
+  const width = Math.min(cell.info.width, template.info.width);
+  const height = Math.min(cell.info.height, template.info.height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const c = (y * cell.info.width + x) * cell.info.channels;
+      const t = (y * template.info.width + x) * template.info.channels;
+      if (isCyan(template.data[t], template.data[t + 1], template.data[t + 2])) {
+        total++;
+        if (isCyan(cell.data[c], cell.data[c + 1], cell.data[c + 2])) matching++;
+      }
+    }
+  }
+  return total > 0 ? (matching / total) * 100 : 0;
+}
+
+async function loadRawTemplates() {
+  return Promise.all((await templates.listTemplateFiles()).map(file =>
+    sharp(file.png)
+      .resize(MATCH_SIZE, MATCH_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+  ));
+}
+
+function stats(samples) {
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return {
+    runs: samples.length,
+    mean: samples.reduce((a, b) => a + b, 0) / samples.length,
+    median: at(0.5),
+    p95: at(0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function elapsed(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    console.error(`Usage error: ${err.message}`);
+    console.error('Usage: node bench.js [image.png] [--runs <n>] [--workers <n>] [--config-dir <dir>] [--json]');
+    return 2;
+  }
+
+  const report = (...parts) => (args.json ? console.error : console.log)(...parts);
+  // Solver progress is noise here; only the benchmark's own lines are printed
+  const log = console.log;
+  console.log = () => {};
+
+  const config = args.configDir ? await configStore.loadConfig(args.configDir, { readOnly: true }) : configStore.defaults();
+  solver.updateConfig(config);
+  if (!(await solver.loadTemplates())) {
+    console.log = log;
+    console.error('❌ No templates loaded');
+    return 1;
+  }
+
+  const frame = args.image ? await fs.readFile(args.image) : await syntheticFrame(config);
+  const workers = args.workers || config.matcher.workers || 2;
+  const modes = {};
+
+  // Old matcher, on the cells recognizeGrid extracted
+  const { cellImages } = await solver.recognizeGrid(frame);
+  const rawTemplates = await loadRawTemplates();
+  const legacy = [];
+  for (let run = 0; run < args.runs; run++) {
+    const start = process.hrtime.bigint();
+    for (const { buffer } of cellImages) {
+      for (const template of rawTemplates) legacyScore(buffer, template);
+    }
+    legacy.push(elapsed(start));
+  }
+  modes.legacy = stats(legacy);
+
+  // Current pipeline with and without workers; detect includes building the cell masks
+  const pipelines = { 'mask': 0, [`mask+${workers}w`]: workers };
+  const totals = {};
+  for (const [name, count] of Object.entries(pipelines)) {
+    solver.updateConfig({ ...config, matcher: { ...config.matcher, workers: count } });
+    await solver.recognizeGrid(frame); // warm up, and start the pool
+    const detect = [];
+    const total = [];
+    for (let run = 0; run < args.runs; run++) {
+      const start = process.hrtime.bigint();
+      const { timings } = await solver.recognizeGrid(frame);
+      total.push(elapsed(start));
+      detect.push(timings.detect);
+    }
+    modes[name] = stats(detect);
+    totals[name] = stats(total);
+  }
+  solver.stopMatcher();
+  console.log = log;
+
+  const summary = {
+    frame: args.image || 'synthetic',
+    cells: cellImages.length,
+    templates: rawTemplates.length,
+    detect: modes,
+    recognize: totals,
+    // The configured per-round time budget (budget.totalMs)
+    budgetMs: config.budget.totalMs
+  };
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+    return 0;
+  }
+
+  report(`⏱️  ${summary.cells} cells x ${summary.templates} templates, ${args.runs} runs on ${summary.frame} frame\n`);
+  report('Detection (ms)        median     mean      p95');
+  for (const [name, s] of Object.entries(modes)) {
+    report(`  ${name.padEnd(18)} ${s.median.toFixed(2).padStart(8)} ${s.mean.toFixed(2).padStart(8)} ${s.p95.toFixed(2).padStart(8)}`);
+  }
+  const speedup = modes.legacy.median / Math.min(...Object.keys(pipelines).map(name => modes[name].median || Infinity));
+  if (Number.isFinite(speedup)) {
+    report(speedup >= 1
+      ? `\n🚀 Masks are ${speedup.toFixed(1)}x faster than the per-pixel matcher`
+      : `\n🐢 Masks are ${(1 / speedup).toFixed(1)}x slower than the per-pixel matcher`);
+  }
+
+  report('\nFull recognition (ms)  median      p95');
+  for (const [name, s] of Object.entries(totals)) {
+    report(`  ${name.padEnd(18)} ${s.median.toFixed(1).padStart(8)} ${s.p95.toFixed(1).padStart(8)}`);
+  }
+  const worst = Math.max(...Object.values(totals).map(s => s.p95));
+  report(worst < summary.budgetMs
+    ? `\n✅ Recognition p95 ${worst.toFixed(0)}ms, inside the ${summary.budgetMs}ms budget`
+    : `\n❌ Recognition p95 ${worst.toFixed(0)}ms exceeds the ${summary.budgetMs}ms budget`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, err => {
+    console.error('❌ Benchmark failed:', err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  main
+};
@@ -0,0 +1,82 @@
+const { resolveGeometry, toReferenceGeometry } = require('./geometry');
+
+// Grid calibration: geometry from marks the user puts on a full-display
+// screenshot, in display pixels. Marks are either
+//   { first: { x, y }, last: { x, y } }   centres of the first and last cell
+//   { rect: { left, top, width, height } } a rectangle dragged around the grid
+// Neither says how big a cell is next to its spacing, so the configured
+// size-to-spacing ratio is kept.
+
+function isPoint(point) {
+  return point && Number.isFinite(point.x) && Number.isFinite(point.y);
+}
+
+// Cell spacing along one axis from the distance between the outer centres
+function axisSpacing(distance, count) {
+  return count > 1 ? distance / (count - 1) : null;
+}
+
+// Centres of the first and last cell of a rectangle drawn around the whole grid:
+// the rectangle spans (count - 1) spacings plus one cell on each axis
+function centresFromRect(rect, { rows, cols, ratio }) {
+  const spacings = [rect.width / (cols - 1 + ratio), rect.height / (rows - 1 + ratio)];
+  const spacing = spacings.reduce((a, b) => a + b, 0) / spacings.length;
+  const half = (spacing * ratio) / 2;
+  return {
+    first: { x: rect.left + half, y: rect.top + half },
+    last: { x: rect.left + rect.width - half, y: rect.top + rect.height - half }
+  };
+}
+
+// Frame-pixel { topLeft, cellSize, cellSpacing } for a rows x cols grid.
+// A single-cell grid has no spacing to measure and keeps `spacing`.
+function fitGrid(marks, { rows, cols, ratio, spacing }) {
+  let centres = marks;
+  if (marks.rect) {
+    const { width, height } = marks.rect;
+    if (!(width > 0 && height > 0)) throw new Error('Drag a rectangle around the whole grid');
+    centres = centresFromRect(marks.rect, { rows, cols, ratio });
+  }
+  const { first, last } = centres;
+  if (!isPoint(first) || !isPoint(last)) throw new Error('Click the centre of the first cell, then the last cell');
+
+  const measured = [axisSpacing(last.x - first.x, cols), axisSpacing(last.y - first.y, rows)]
+    .filter(value => value !== null);
+  const cellSpacing = measured.length > 0 ? measured.reduce((a, b) => a + b, 0) / measured.length : spacing;
+  if (!(cellSpacing > 0)) throw new Error('The last cell must be below and to the right of the first cell');
+
+  const cellSize = Math.round(cellSpacing * ratio);
+  return {
+    topLeft: { x: Math.round(first.x - cellSize / 2), y: Math.round(first.y - cellSize / 2) },
+    cellSize,
+    cellSpacing
+  };
+}
+
+// Config patch for a frame-pixel geometry (e.g. one the locator found) on a
+// width x height display, plus the geometry that patch resolves to. The
+// geometry goes through the saved (rounded) settings, so a test match sees
+// exactly what a solve will use after saving.
+function geometryPatch(config, width, height, fitted) {
+  const patch = toReferenceGeometry(config, width, height, fitted);
+  const geometry = resolveGeometry({ ...config, ...patch }, width, height);
+  return { patch, geometry };
+}
+
+// geometryPatch for the user's marks
+function calibrate(config, width, height, marks) {
+  const current = resolveGeometry(config, width, height);
+  const fitted = fitGrid(marks, {
+    rows: config.grid.rows,
+    cols: config.grid.cols,
+    ratio: config.cellSize / config.cellSpacing,
+    spacing: current.cellSpacing
+  });
+  return geometryPatch(config, width, height, fitted);
+}
+
+module.exports = {
+  fitGrid,
+  geometryPatch,
+  calibrate
+};
@@ -0,0 +1,200 @@
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+// Capture sources. Each one captures a single display and resolves a frame:
+//   { image, raw, display: { width, height }, region: { left, top, width, height }, decodeMs }
+// `image` is anything sharp reads: an encoded image, or raw pixels described by
+// `raw` ({ width, height, channels }). It covers `region` of the display, so a
+// region-limited frame keeps display coordinates and the grid geometry stays
+// relative to the chosen display whatever was cropped. `decodeMs` is the time
+// spent so far turning the capture into raw pixels, so it can be timed apart
+// from capturing.
+//
+// capture({ region }) takes an optional (display) => rect callback; sources crop
+// to that rect as early as they can so later stages only decode the grid area.
+
+function clampRect(rect, display) {
+  const left = Math.max(0, Math.floor(rect.left));
+  const top = Math.max(0, Math.floor(rect.top));
+  const right = Math.min(display.width, Math.ceil(rect.left + rect.width));
+  const bottom = Math.min(display.height, Math.ceil(rect.top + rect.height));
+  if (right <= left || bottom <= top) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// Encoded full-display image -> frame, decoded once and cropped when a region is given
+async function frameFromImage(buffer, region) {
+  const decodeStart = performance.now();
+  const image = sharp(buffer);
+  const { width, height } = await image.metadata();
+  const display = { width, height };
+  const rect = region ? region(display) : null;
+  const crop = rect ? clampRect(rect, display) : null;
+  if (rect && !crop) throw new Error(`Capture region falls outside the ${width}x${height} display`);
+  if (!crop) {
+    return { image: buffer, raw: null, display, region: { left: 0, top: 0, width, height }, decodeMs: performance.now() - decodeStart };
+  }
+
+  const { data, info } = await image.extract(crop).raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  return { image: data, raw, display, region: crop, decodeMs: performance.now() - decodeStart };
+}
+
+// Frame with raw pixels, decoding an encoded one once instead of in every stage
+async function decodeFrame(frame) {
+  if (frame.raw) return frame;
+  const decodeStart = performance.now();
+  const { data, info } = await sharp(frame.image).raw().toBuffer({ resolveWithObject: true });
+  return {
+    ...frame,
+    image: data,
+    raw: { width: info.width, height: info.height, channels: info.channels },
+    decodeMs: (frame.decodeMs || 0) + performance.now() - decodeStart
+  };
+}
+
+// sharp instance over a frame's pixels
+function frameImage(frame) {
+  return frame.raw ? sharp(frame.image, { raw: frame.raw }) : sharp(frame.image);
+}
+
+// Display rectangle -> rectangle within the frame's pixels
+function frameRect(frame, rect) {
+  return {
+    left: rect.left - frame.region.left,
+    top: rect.top - frame.region.top,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+function frameContains(frame, rect) {
+  const { region } = frame;
+  return rect.left >= region.left && rect.top >= region.top &&
+    rect.left + rect.width <= region.left + region.width &&
+    rect.top + rect.height <= region.top + region.height;
+}
+
+// screenshot-desktop: works everywhere, but always grabs the whole display
+function createScreenshotSource({ display }) {
+  const screenshot = require('screenshot-desktop');
+
+  return {
+    name: 'screenshot',
+
+    async listDisplays() {
+      const displays = await screenshot.listDisplays();
+      // Physical origin where the platform reports one (Windows and X11), so the
+      // overlay can find the same monitor among Electron's displays
+      const origin = (value) => (Number.isFinite(value) ? value : null);
+      return displays.map((d, index) => ({
+        id: String(d.id),
+        name: d.name || `Display ${index + 1}`,
+        width: d.width,
+        height: d.height,
+        left: origin(d.left !== undefined ? d.left : d.offsetX),
+        top: origin(d.top !== undefined ? d.top : d.offsetY),
+        primary: Boolean(d.primary)
+      }));
+    },
+
+    async capture({ region } = {}) {
+      const buffer = await screenshot(display ? { screen: display } : {});
+      return frameFromImage(buffer, region);
+    }
+  };
+}
+
+// Electron's desktopCapturer, main process only. Crops the native image before
+// it is encoded, so only the grid area is ever turned into PNG.
+function createDesktopSource({ display }) {
+  const { desktopCapturer, screen } = require('electron');
+  if (!desktopCapturer || !screen) throw new Error('The desktop capture source only works inside the app');
+
+  function pickDisplay() {
+    const displays = screen.getAllDisplays();
+    return displays.find(d => String(d.id) === display) || screen.getPrimaryDisplay();
+  }
+
+  return {
+    name: 'desktop',
+
+    async listDisplays() {
+      const primary = screen.getPrimaryDisplay();
+      return screen.getAllDisplays().map((d, index) => ({
+        id: String(d.id),
+        name: d.label || `Display ${index + 1}`,
+        width: Math.round(d.size.width * d.scaleFactor),
+        height: Math.round(d.size.height * d.scaleFactor),
+        primary: d.id === primary.id
+      }));
+    },
+
+    async capture({ region } = {}) {
+      const target = pickDisplay();
+      // Physical pixels, like screenshot-desktop, so geometry scaling matches
+      const thumbnailSize = {
+        width: Math.round(target.size.width * target.scaleFactor),
+        height: Math.round(target.size.height * target.scaleFactor)
+      };
+      const sources = await desktopCapturer.getSources({ types: ['screen'], thumbnailSize });
+      const source = sources.find(s => s.display_id === String(target.id)) || sources[0];
+      if (!source) throw new Error('No screen available to capture');
+
+      let image = source.thumbnail;
+      const display = image.getSize();
+      const rect = region ? region(display) : null;
+      const crop = rect ? clampRect(rect, display) : null;
+      if (rect && !crop) throw new Error(`Capture region falls outside the ${display.width}x${display.height} display`);
+      if (crop) image = image.crop({ x: crop.left, y: crop.top, width: crop.width, height: crop.height });
+
+      return {
+        image: image.toPNG(),
+        raw: null,
+        display,
+        region: crop || { left: 0, top: 0, width: display.width, height: display.height },
+        decodeMs: 0
+      };
+    }
+  };
+}
+
+// A saved full-display screenshot, re-read on every capture so another tool can keep replacing it
+function createFileSource({ file }) {
+  if (!file) throw new Error('The file capture source needs capture.file set to an image path');
+
+  return {
+    name: 'file',
+
+    async listDisplays() {
+      return [];
+    },
+
+    async capture({ region } = {}) {
+      return frameFromImage(await fs.readFile(file), region);
+    }
+  };
+}
+
+const SOURCES = {
+  screenshot: createScreenshotSource,
+  desktop: createDesktopSource,
+  file: createFileSource
+};
+
+// options: { display: display id or '' for the primary display, file: image path for the file source }
+function createCaptureSource(name, options = {}) {
+  const factory = SOURCES[name];
+  if (!factory) throw new Error(`Unknown capture source: ${name}`);
+  return factory(options);
+}
+
+module.exports = {
+  CAPTURE_SOURCES: Object.keys(SOURCES),
+  createCaptureSource,
+  frameFromImage,
+  decodeFrame,
+  frameImage,
+  frameRect,
+  frameContains
+};
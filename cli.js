@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// Headless command line for the solver: the pipeline without the Electron
+// window, for Linux boxes and scripts. Settings come from the app's own config
+// store (its user data folder), or from --config-dir.
+//
+//   node cli.js solve [--dry-run] [--rounds <n>]
+//   node cli.js detect <image.png>
+//   node cli.js templates check
+//   node cli.js calibrate --from <image.png> [--first <x,y> --last <x,y> | --rect <l,t,w,h>]
+//                         [--search-margin <px>] [--save]
+//   node cli.js bench [image.png] [bench.js options]
+//
+// Every command takes --config-dir <dir> and --json. With --json the result is
+// one JSON object on stdout and all progress goes to stderr.
+//
+// solve --dry-run captures and detects for real but types through the recording
+// input backend, so no key reaches the game. calibrate without marks looks for
+// the grid near the configured position; --save writes the result to the config.
+//
+// Exit code 0 on success, 1 when the command failed (solve failed, uncertain
+// cells, a template problem, grid not found), 2 on bad usage.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const solver = require('./solver');
+const configStore = require('./config');
+const templates = require('./templates');
+const { frameFromImage, decodeFrame } = require('./capture');
+const { resolveGeometry } = require('./geometry');
+const { calibrate, geometryPatch } = require('./calibrate');
+const pkg = require('./package.json');
+
+const USAGE = [
+  'Usage: node cli.js <command> [options] [--config-dir <dir>] [--json]',
+  '  solve [--dry-run] [--rounds <n>]',
+  '  detect <image.png>',
+  '  templates check',
+  '  calibrate --from <image.png> [--first <x,y> --last <x,y> | --rect <l,t,w,h>] [--search-margin <px>] [--save]',
+  '  bench [image.png] [--runs <n>] [--workers <n>]'
+].join('\n');
+
+// Options that take a value; everything else starting with -- is a flag
+const VALUE_OPTIONS = ['--config-dir', '--rounds', '--from', '--first', '--last', '--rect', '--search-margin'];
+const FLAG_OPTIONS = ['--json', '--dry-run', '--save'];
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!command) throw new Error('Missing command');
+
+  // bench has its own options; only --config-dir and --json are shared
+  if (command === 'bench') return { command, positional: [], options: {}, passthrough: rest };
+
+  const args = { command, positional: [], options: {} };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      if (i + 1 >= rest.length) throw new Error(`${arg} needs a value`);
+      args.options[arg.slice(2)] = rest[++i];
+    } else if (FLAG_OPTIONS.includes(arg)) {
+      args.options[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+// "12,34" -> [12, 34], checked for the expected count of numbers
+function parseNumbers(value, count, name) {
+  const numbers = String(value).split(',').map(Number);
+  if (numbers.length !== count || !numbers.every(Number.isFinite)) {
+    throw new Error(`${name} must be ${count} comma-separated numbers`);
+  }
+  return numbers;
+}
+
+function parseMarks(options) {
+  if (options.rect) {
+    if (options.first || options.last) throw new Error('Use either --rect or --first/--last');
+    const [left, top, width, height] = parseNumbers(options.rect, 4, '--rect');
+    return { rect: { left, top, width, height } };
+  }
+  if (options.first || options.last) {
+    if (!options.first || !options.last) throw new Error('--first and --last go together');
+    const [fx, fy] = parseNumbers(options.first, 2, '--first');
+    const [lx, ly] = parseNumbers(options.last, 2, '--last');
+    return { first: { x: fx, y: fy }, last: { x: lx, y: ly } };
+  }
+  return null;
+}
+
+// Electron's app.getPath('userData') without Electron. Packaged builds use the
+// product name and `electron .` the package name; the first holding a config wins.
+async function defaultDataDir() {
+  const appData = process.platform === 'win32'
+    ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+    : process.platform === 'darwin'
+      ? path.join(os.homedir(), 'Library', 'Application Support')
+      : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+  const candidates = [pkg.build.productName, pkg.name].map(name => path.join(appData, name));
+  for (const dir of candidates) {
+    try {
+      await fs.access(path.join(dir, 'config.json'));
+      return dir;
+    } catch (err) {
+      // Not this one
+    }
+  }
+  return candidates[0];
+}
+
+// Config from the store, and the app's edited templates when it has any
+async function loadSettings(dataDir) {
+  const config = await configStore.loadConfig(dataDir, { readOnly: true });
+  solver.updateConfig(config);
+
+  const templatesDir = path.join(dataDir, 'letter_templates');
+  try {
+    await fs.access(templatesDir);
+    await templates.useTemplatesDir(templatesDir);
+  } catch (err) {
+    // Not set up by the app yet: the bundled templates
+  }
+  return config;
+}
+
+async function requireTemplates() {
+  if (!(await solver.loadTemplates())) throw new Error(`No templates loaded from ${templates.getTemplatesDir()}`);
+}
+
+function summarizeCells(cells) {
+  return cells.map(({ row, col, letter, confidence, margin, uncertain }) => ({
+    row, col, letter, confidence, margin, uncertain: uncertain || null
+  }));
+}
+
+function printCells(grid, cells) {
+  const cols = grid[0].length;
+  grid.forEach((row, r) => {
+    const line = row.map((letter, c) => {
+      const cell = cells[r * cols + c];
+      return `${letter} ${cell.confidence.toFixed(0).padStart(3)}%${cell.uncertain ? '?' : ' '}`;
+    });
+    console.log(`  ${line.join('  ')}`);
+  });
+}
+
+async function runSolve({ options }, config) {
+  const overrides = {};
+  if (options['dry-run']) overrides.input = { ...config.input, backend: 'recording' };
+  if (options.rounds !== undefined) {
+    const rounds = Number(options.rounds);
+    if (!Number.isInteger(rounds) || rounds < 1) throw Object.assign(new Error('--rounds must be a positive integer'), { usage: true });
+    overrides.rounds = { ...config.rounds, max: rounds };
+  }
+  solver.updateConfig({ ...config, ...overrides });
+  await requireTemplates();
+
+  // Ctrl+C cancels like the hotkey does in the app
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort(new Error('Cancelled')));
+  const result = await solver.solveMinigameFast({ signal: controller.signal });
+  await solver.stopInput();
+
+  return {
+    ok: result.success,
+    report: {
+      command: 'solve',
+      dryRun: Boolean(options['dry-run']),
+      success: result.success,
+      cancelled: Boolean(result.cancelled),
+      error: result.error || null,
+      stopReason: result.stopReason || null,
+      rounds: result.rounds.map(({ round, grid, cells, keys, timings, overruns }) => ({
+        round, grid, cells: summarizeCells(cells), keys, timings, overruns
+      }))
+    },
+    print(report) {
+      for (const round of report.rounds) {
+        console.log(`📋 Round ${round.round}: ${round.grid.map(row => row.join('')).join(' ')} (${(round.timings.total / 1000).toFixed(2)}s)`);
+      }
+      if (report.success) console.log(`✅ Solved ${report.rounds.length} round(s)${report.dryRun ? ' (dry run, no keys sent)' : ''}`);
+      else console.log(report.cancelled ? '⏹️  Cancelled' : `❌ ${report.error}`);
+    }
+  };
+}
+
+async function runDetect({ positional }) {
+  const [imagePath] = positional;
+  if (!imagePath) throw Object.assign(new Error('detect needs an image path'), { usage: true });
+  await requireTemplates();
+
+  const recognition = await solver.recognizeGrid(await fs.readFile(imagePath));
+  const { grid, cells, uncertain, geometry, alignment, timings } = recognition;
+  return {
+    ok: uncertain.length === 0,
+    report: {
+      command: 'detect',
+      image: imagePath,
+      grid,
+      cells: summarizeCells(cells),
+      uncertain: uncertain.length,
+      geometry: { source: geometry.source, topLeft: geometry.topLeft, cellSize: geometry.cellSize, cellSpacing: geometry.cellSpacing },
+      alignment,
+      timings
+    },
+    print(report) {
+      console.log(`🖼️  ${path.basename(imagePath)} - grid at ${report.geometry.topLeft.x},${report.geometry.topLeft.y} (${report.geometry.source})`);
+      printCells(grid, cells);
+      console.log(report.uncertain ? `⚠️  ${report.uncertain} uncertain cell(s)` : '✅ All cells confident');
+    }
+  };
+}
+
+async function runTemplatesCheck({ positional }) {
+  if (positional[0] !== 'check') throw Object.assign(new Error('Only "templates check" is supported'), { usage: true });
+
+  const loaded = await solver.loadTemplates();
+  const status = solver.getTemplateStatus();
+  const labels = templates.getLabels();
+  const missing = labels.filter(label => !status.perLetter[label]);
+  const unmapped = labels.filter(label => !templates.getKeyForLabel(label));
+  const checks = loaded ? await solver.checkTemplates() : [];
+  const failing = checks.filter(check => !check.ok);
+
+  return {
+    ok: loaded && missing.length === 0 && unmapped.length === 0 && failing.length === 0,
+    report: {
+      command: 'templates check',
+      dir: templates.getTemplatesDir(),
+      status,
+      missing,
+      unmapped,
+      checks
+    },
+    print(report) {
+      console.log(`📂 ${report.dir}: ${status.count}/${status.expected} letters, ${status.variants} variant(s), fingerprint ${status.fingerprint || '-'}`);
+      if (missing.length) console.log(`❌ Missing templates: ${missing.join(', ')}`);
+      if (unmapped.length) console.log(`❌ No key mapped for: ${unmapped.join(', ')}`);
+      for (const check of checks) {
+        const detail = `${check.detected} ${check.confidence.toFixed(1)}%, +${check.margin.toFixed(1)} over ${check.runnerUp}`;
+        console.log(`  ${check.ok ? '✓' : '✗'} ${check.id.padEnd(12)} ${detail}${check.uncertain ? `  (${check.uncertain})` : ''}`);
+      }
+      console.log(report.missing.length || unmapped.length || failing.length ? '❌ Template set has problems' : '✅ Template set OK');
+    }
+  };
+}
+
+async function runCalibrate({ options }, config) {
+  if (!options.from) throw Object.assign(new Error('calibrate needs --from <image.png>'), { usage: true });
+  let marks;
+  try {
+    marks = parseMarks(options);
+  } catch (err) {
+    throw Object.assign(err, { usage: true });
+  }
+  if (options['search-margin'] !== undefined) {
+    const margin = Number(options['search-margin']);
+    const { min, max } = configStore.SCHEMA['locator.searchMargin'];
+    if (!Number.isInteger(margin) || margin < min || margin > max) {
+      throw Object.assign(new Error(`--search-margin must be an integer from ${min} to ${max}`), { usage: true });
+    }
+    solver.updateConfig({ ...config, locator: { ...config.locator, searchMargin: margin } });
+  }
+  await requireTemplates();
+
+  // Full display, no crop: the grid may be anywhere
+  const frame = await decodeFrame(await frameFromImage(await fs.readFile(options.from)));
+  const { width, height } = frame.display;
+  let calibration;
+  if (marks) {
+    calibration = calibrate(config, width, height, marks);
+  } else {
+    const located = await solver.locateGrid(frame, resolveGeometry(config, width, height));
+    if (!located) throw new Error('Grid not found near the configured position - pass --first/--last or --rect, or a larger --search-margin');
+    calibration = geometryPatch(config, width, height, located);
+  }
+
+  const { patch, geometry } = calibration;
+  const recognition = await solver.recognizeGrid(frame, { geometry });
+  const ok = recognition.uncertain.length === 0;
+  if (options.save && !configStore.getConfigPath()) throw new Error('The config could not be read, so nothing was saved');
+  const saved = Boolean(options.save) && ok;
+  if (saved) await configStore.updateConfig(patch);
+
+  return {
+    ok,
+    report: {
+      command: 'calibrate',
+      image: options.from,
+      method: marks ? (marks.rect ? 'rect' : 'points') : 'located',
+      patch,
+      geometry: { topLeft: geometry.topLeft, cellSize: geometry.cellSize, cellSpacing: geometry.cellSpacing },
+      grid: recognition.grid,
+      cells: summarizeCells(recognition.cells),
+      uncertain: recognition.uncertain.length,
+      saved
+    },
+    print(report) {
+      console.log(`📐 Top-left ${patch.topLeft.x},${patch.topLeft.y}, cell ${patch.cellSize}px, spacing ${patch.cellSpacing}px (1080p, ${report.method})`);
+      printCells(recognition.grid, recognition.cells);
+      if (!ok) console.log(`⚠️  ${report.uncertain} uncertain cell(s)${options.save ? ' - not saved' : ''}`);
+      else if (saved) console.log(`✅ Saved to ${configStore.getConfigPath()}`);
+      else console.log('✅ All cells confident - add --save to keep this geometry');
+    }
+  };
+}
+
+const COMMANDS = {
+  solve: runSolve,
+  detect: runDetect,
+  templates: runTemplatesCheck,
+  calibrate: runCalibrate
+};
+
+function usageError(message) {
+  console.error(`Usage error: ${message}`);
+  console.error(USAGE);
+  return 2;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    if (args.command !== 'bench' && !COMMANDS[args.command]) throw new Error(`Unknown command: ${args.command}`);
+  } catch (err) {
+    return usageError(err.message);
+  }
+
+  if (args.command === 'bench') {
+    const passthrough = args.passthrough.includes('--config-dir')
+      ? args.passthrough
+      : [...args.passthrough, '--config-dir', await defaultDataDir()];
+    return require('./bench').main(passthrough);
+  }
+
+  const json = Boolean(args.options.json);
+  // Keep stdout clean for the JSON result; solver progress goes to stderr
+  const log = console.log;
+  if (json) console.log = (...parts) => console.error(...parts);
+
+  let outcome;
+  try {
+    const config = await loadSettings(args.options['config-dir'] || await defaultDataDir());
+    outcome = await COMMANDS[args.command](args, config);
+  } catch (err) {
+    if (err.usage) return usageError(err.message);
+    if (json) process.stdout.write(JSON.stringify({ command: args.command, ok: false, error: err.message }, null, 2) + '\n');
+    else console.error(`❌ ${err.message}`);
+    return 1;
+  } finally {
+    solver.stopMatcher();
+  }
+
+  if (json) {
+    process.stdout.write(JSON.stringify({ ok: outcome.ok, ...outcome.report }, null, 2) + '\n');
+  } else {
+    console.log = log;
+    outcome.print(outcome.report);
+  }
+  return outcome.ok ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}, err => {
+  console.error('❌ Command failed:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,129 @@
+// Glyph colour profiles. A pixel is glyph when its hue (degrees), saturation and
+// value (0-1) fall inside the profile's ranges; hue ranges may wrap past 360.
+const COLOR_PROFILES = {
+  cyan:      { label: 'Cyan (default)', hue: [185, 225], saturation: [0.5, 1], value: [0.52, 1] },
+  hdr:       { label: 'Cyan, washed out (HDR)', hue: [180, 235], saturation: [0.2, 1], value: [0.6, 1] },
+  night:     { label: 'Green-shifted (night filter)', hue: [120, 190], saturation: [0.4, 1], value: [0.5, 1] },
+  blue:      { label: 'Blue (colour-blind filters)', hue: [215, 265], saturation: [0.4, 1], value: [0.5, 1] },
+  white:     { label: 'White / greyscale', hue: [0, 360], saturation: [0, 0.25], value: [0.5, 1] }
+};
+
+// Adaptive mode: hue window around the estimated glyph hue, the saturation
+// below which a pixel counts as grey, and the least share of bright pixels
+// an image needs before its own colour is trusted over the profile
+const ADAPTIVE_HUE_WINDOW = 20;
+const ACHROMATIC_SATURATION = 0.25;
+const ADAPTIVE_MIN_SHARE = 0.01;
+const HUE_BINS = 36;
+
+function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) hue = 60 * (((g - b) / delta) % 6);
+    else if (max === g) hue = 60 * ((b - r) / delta + 2);
+    else hue = 60 * ((r - g) / delta + 4);
+    if (hue < 0) hue += 360;
+  }
+  return [hue, max === 0 ? 0 : delta / max, max / 255];
+}
+
+function hueInRange(hue, [min, max]) {
+  if (max - min >= 360) return true;
+  const from = ((min % 360) + 360) % 360;
+  const to = ((max % 360) + 360) % 360;
+  return from <= to ? hue >= from && hue <= to : hue >= from || hue <= to;
+}
+
+function inProfile(profile, [hue, saturation, value]) {
+  return hueInRange(hue, profile.hue) &&
+    saturation >= profile.saturation[0] && saturation <= profile.saturation[1] &&
+    value >= profile.value[0] && value <= profile.value[1];
+}
+
+const classifiers = {};
+
+// (r, g, b) -> glyph or not, through a 32x32x32 lookup table built once per profile
+function createClassifier(name) {
+  if (classifiers[name]) return classifiers[name];
+  const profile = COLOR_PROFILES[name];
+  if (!profile) throw new Error(`Unknown colour profile: ${name}`);
+
+  const table = new Uint8Array(32 * 32 * 32);
+  for (let r = 0; r < 32; r++) {
+    for (let g = 0; g < 32; g++) {
+      for (let b = 0; b < 32; b++) {
+        // Classify the centre of each 8-level bucket
+        table[(r << 10) | (g << 5) | b] = inProfile(profile, rgbToHsv(r * 8 + 4, g * 8 + 4, b * 8 + 4)) ? 1 : 0;
+      }
+    }
+  }
+  classifiers[name] = (r, g, b) => table[((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3)] === 1;
+  return classifiers[name];
+}
+
+// Estimate the glyph colour from one image's own pixels. Pixels at least as
+// bright as the profile's value floor vote for a hue; the glyph is the peak hue
+// (or grey, when most bright pixels are unsaturated). Falls back to the plain
+// profile when too few pixels are bright.
+function adaptiveClassifier({ data, info }, name) {
+  const profile = COLOR_PROFILES[name];
+  if (!profile) throw new Error(`Unknown colour profile: ${name}`);
+  const minValue = profile.value[0];
+  const pixels = info.width * info.height;
+  const counts = new Uint32Array(HUE_BINS);
+  const hueSums = new Float64Array(HUE_BINS);
+  let bright = 0;
+  let grey = 0;
+
+  for (let i = 0; i < pixels; i++) {
+    const idx = i * info.channels;
+    const [hue, saturation, value] = rgbToHsv(data[idx], data[idx + 1], data[idx + 2]);
+    if (value < minValue) continue;
+    bright++;
+    if (saturation < ACHROMATIC_SATURATION) {
+      grey++;
+      continue;
+    }
+    const bin = Math.floor(hue / (360 / HUE_BINS)) % HUE_BINS;
+    counts[bin]++;
+    hueSums[bin] += hue;
+  }
+
+  if (bright < pixels * ADAPTIVE_MIN_SHARE) return createClassifier(name);
+  if (grey > bright / 2) {
+    return (r, g, b) => {
+      const [, saturation, value] = rgbToHsv(r, g, b);
+      return value >= minValue && saturation < ACHROMATIC_SATURATION;
+    };
+  }
+
+  // Peak over three neighbouring bins, centred on the mean hue inside them
+  const around = (bin) => [(bin + HUE_BINS - 1) % HUE_BINS, bin, (bin + 1) % HUE_BINS];
+  const votes = (bin) => around(bin).reduce((total, b) => total + counts[b], 0);
+  let peak = 0;
+  for (let bin = 1; bin < HUE_BINS; bin++) {
+    if (votes(bin) > votes(peak)) peak = bin;
+  }
+  // Mean hue inside the peak, unwrapped around it so 355° and 5° average to 0°
+  let hueTotal = 0;
+  for (const b of around(peak)) {
+    const wrap = b - peak > 1 ? -360 : peak - b > 1 ? 360 : 0;
+    hueTotal += hueSums[b] + counts[b] * wrap;
+  }
+  const centre = hueTotal / votes(peak);
+  const range = [centre - ADAPTIVE_HUE_WINDOW, centre + ADAPTIVE_HUE_WINDOW];
+
+  return (r, g, b) => {
+    const [hue, saturation, value] = rgbToHsv(r, g, b);
+    return value >= minValue && saturation >= ACHROMATIC_SATURATION && hueInRange(hue, range);
+  };
+}
+
+module.exports = {
+  COLOR_PROFILES,
+  rgbToHsv,
+  createClassifier,
+  adaptiveClassifier
+};
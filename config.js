@@ -0,0 +1,341 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PROFILES } = require('./geometry');
+const { BACKEND_NAMES } = require('./input');
+const { COLOR_PROFILES } = require('./colors');
+const { CAPTURE_SOURCES } = require('./capture');
+const { BUDGET_MODES } = require('./timing');
+
+// Bump this whenever the persisted shape changes and add a migration below
+const CONFIG_VERSION = 2;
+const CONFIG_FILE = 'config.json';
+
+// Every persisted setting, keyed by its dotted path in the config object
+const SCHEMA = {
+  'hotkey':                   { type: 'string', default: 'F1', pattern: /^[A-Za-z0-9+]{1,32}$/ },
+  'resolution':               { type: 'enum', default: 'auto', values: ['auto', ...Object.keys(PROFILES)] },
+  'cellSize':                 { type: 'int', default: 100, min: 8, max: 1000 },
+  'cellSpacing':              { type: 'int', default: 95, min: 8, max: 2000 },
+  'topLeft.x':                { type: 'int', default: 792, min: 0, max: 15360 },
+  'topLeft.y':                { type: 'int', default: 445, min: 0, max: 8640 },
+  'grid.rows':                { type: 'int', default: 3, min: 1, max: 10 },
+  'grid.cols':                { type: 'int', default: 3, min: 1, max: 10 },
+  'offset.x':                 { type: 'int', default: -118, min: -2000, max: 2000 },
+  'offset.y':                 { type: 'int', default: -45, min: -2000, max: 2000 },
+  'keyDelay':                 { type: 'int', default: 15, min: 0, max: 1000 },
+  'delayVariance':            { type: 'int', default: 5, min: 0, max: 500 },
+  'input.backend':            { type: 'enum', default: 'auto', values: BACKEND_NAMES },
+  'capture.source':           { type: 'enum', default: 'screenshot', values: CAPTURE_SOURCES },
+  'capture.display':          { type: 'string', default: '', pattern: /^[^\n]{0,128}$/ },
+  'capture.file':             { type: 'string', default: '', pattern: /^[^\n]{0,1024}$/ },
+  'capture.cropToGrid':       { type: 'boolean', default: true },
+  'locator.enabled':          { type: 'boolean', default: false },
+  'locator.searchMargin':     { type: 'int', default: 150, min: 0, max: 1000 },
+  'detection.minConfidence':  { type: 'int', default: 50, min: 0, max: 100 },
+  'detection.minMargin':      { type: 'int', default: 5, min: 0, max: 100 },
+  'detection.maxRecaptures':  { type: 'int', default: 2, min: 0, max: 10 },
+  'color.profile':            { type: 'enum', default: 'cyan', values: Object.keys(COLOR_PROFILES) },
+  'color.adaptive':           { type: 'boolean', default: false },
+  'alignment.maxShift':       { type: 'int', default: 1, min: 0, max: 8 },
+  'alignment.scaleRange':     { type: 'int', default: 0, min: 0, max: 20 },
+  'matcher.workers':          { type: 'int', default: 2, min: 0, max: 16 },
+  'watch.enabled':            { type: 'boolean', default: false },
+  'watch.intervalMs':         { type: 'int', default: 250, min: 50, max: 10000 },
+  'watch.minCellsPercent':    { type: 'int', default: 80, min: 10, max: 100 },
+  'watch.confirmProbes':      { type: 'int', default: 2, min: 1, max: 10 },
+  'watch.cooldownMs':         { type: 'int', default: 1500, min: 0, max: 60000 },
+  'rounds.max':               { type: 'int', default: 1, min: 1, max: 50 },
+  'rounds.timeoutMs':         { type: 'int', default: 3000, min: 250, max: 30000 },
+  'rounds.changeThreshold':   { type: 'int', default: 5, min: 1, max: 100 },
+  'budget.mode':              { type: 'enum', default: 'off', values: BUDGET_MODES },
+  'budget.totalMs':           { type: 'int', default: 3000, min: 500, max: 60000 },
+  'overlay.enabled':          { type: 'boolean', default: false },
+  'overlay.hotkey':           { type: 'string', default: 'F2', pattern: /^[A-Za-z0-9+]{1,32}$/ },
+  'api.enabled':              { type: 'boolean', default: false },
+  'api.port':                 { type: 'int', default: 7590, min: 1024, max: 65535 },
+  'api.token':                { type: 'string', default: '', pattern: /^[A-Za-z0-9_-]{0,128}$/ },
+  'debug.enabled':            { type: 'boolean', default: false },
+  'debug.keepRuns':           { type: 'int', default: 20, min: 1, max: 1000 },
+  'debug.maxSizeMB':          { type: 'int', default: 200, min: 0, max: 10000 },
+  ...profileFields()
+};
+
+// Per-resolution overrides, one set for each named profile in geometry.js
+function profileFields() {
+  const fields = {};
+  for (const name of Object.keys(PROFILES)) {
+    fields[`profiles.${name}.uiScale`] = { type: 'int', default: 0, min: 0, max: 500 };
+    fields[`profiles.${name}.shift.x`] = { type: 'int', default: 0, min: -4000, max: 4000 };
+    fields[`profiles.${name}.shift.y`] = { type: 'int', default: 0, min: -4000, max: 4000 };
+  }
+  return fields;
+}
+
+// Flat field names sent by the settings panel, mapped onto the solver's geometry
+const UI_ALIASES = {
+  offsetX: (value) => ({ 'offset.x': value }),
+  offsetY: (value) => ({ 'offset.y': value })
+};
+
+// Migrations upgrade a config from version N-1 to version N
+const MIGRATIONS = {
+  // v0: unversioned file holding whatever the renderer sent (offsetX, "1920x1080", ...)
+  1: (old) => {
+    const patch = {};
+    for (const [key, value] of Object.entries(old)) {
+      if (key === 'version') continue;
+      if (key === 'offsetX') patch['offset.x'] = value;
+      else if (key === 'offsetY') patch['offset.y'] = value;
+      else if (key === 'resolution' && typeof value === 'string') {
+        const match = /^(\d+)x(\d+)$/.exec(value);
+        if (match) patch.resolution = { width: Number(match[1]), height: Number(match[2]) };
+      } else Object.assign(patch, flatten({ [key]: value }));
+    }
+    return unflatten(patch);
+  },
+  // v2: resolution became a geometry profile name instead of a { width, height } pair
+  2: (old) => {
+    const { resolution, ...rest } = old;
+    const name = resolution ? `${resolution.width}x${resolution.height}` : 'auto';
+    return { ...rest, resolution: PROFILES[name] ? name : 'auto' };
+  }
+};
+
+let configPath = null;
+let config = defaults();
+// The file as read, when a newer app version wrote it (see save)
+let newerFile = null;
+let pendingSave = Promise.resolve();
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split('.');
+  let node = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function flatten(obj, prefix = '') {
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(out, flatten(value, dotted));
+    } else {
+      out[dotted] = value;
+    }
+  }
+  return out;
+}
+
+function unflatten(flat) {
+  const out = {};
+  for (const [dotted, value] of Object.entries(flat)) {
+    setPath(out, dotted, value);
+  }
+  return out;
+}
+
+function defaults() {
+  const out = { version: CONFIG_VERSION };
+  for (const [dotted, field] of Object.entries(SCHEMA)) {
+    setPath(out, dotted, field.default);
+  }
+  return out;
+}
+
+// Returns the coerced value, or throws if it does not fit the schema
+function validateField(dotted, value) {
+  const field = SCHEMA[dotted];
+  if (!field) throw new Error(`Unknown setting: ${dotted}`);
+
+  switch (field.type) {
+    case 'int': {
+      const num = typeof value === 'string' ? Number(value) : value;
+      if (!Number.isInteger(num)) throw new Error(`${dotted} must be an integer`);
+      if (num < field.min || num > field.max) {
+        throw new Error(`${dotted} must be between ${field.min} and ${field.max}`);
+      }
+      return num;
+    }
+    case 'string':
+      if (typeof value !== 'string') throw new Error(`${dotted} must be a string`);
+      if (field.pattern && !field.pattern.test(value)) throw new Error(`Invalid ${dotted}: ${value}`);
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error(`${dotted} must be true or false`);
+      return value;
+    case 'enum':
+      if (!field.values.includes(value)) {
+        throw new Error(`${dotted} must be one of: ${field.values.join(', ')}`);
+      }
+      return value;
+    default:
+      throw new Error(`Unsupported schema type for ${dotted}: ${field.type}`);
+  }
+}
+
+// Turn a partial config (canonical or UI field names) into validated dotted paths
+function normalizePatch(patch) {
+  const flat = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    Object.assign(flat, UI_ALIASES[key] ? UI_ALIASES[key](value) : flatten({ [key]: value }));
+  }
+  delete flat.version;
+
+  const out = {};
+  for (const [dotted, value] of Object.entries(flat)) {
+    out[dotted] = validateField(dotted, value);
+  }
+  return out;
+}
+
+function migrate(raw) {
+  let current = raw;
+  let version = Number.isInteger(raw.version) ? raw.version : 0;
+
+  if (version > CONFIG_VERSION) {
+    console.log(`⚠️  Config version ${version} is newer than supported (${CONFIG_VERSION}), using known fields only`);
+    version = CONFIG_VERSION;
+  }
+
+  while (version < CONFIG_VERSION) {
+    version++;
+    current = MIGRATIONS[version](current);
+    console.log(`  🔁 Migrated config to version ${version}`);
+  }
+
+  return current;
+}
+
+// Rebuild a full config from a possibly stale or hand-edited object, dropping bad fields
+function sanitize(raw) {
+  const out = defaults();
+  for (const [dotted, field] of Object.entries(SCHEMA)) {
+    const value = getPath(raw, dotted);
+    if (value === undefined) continue;
+    try {
+      setPath(out, dotted, validateField(dotted, value));
+    } catch (err) {
+      console.log(`  ⚠️  Ignoring invalid setting ${dotted}: ${err.message} (using ${field.default})`);
+    }
+  }
+  return out;
+}
+
+// A newer app's file keeps its version and the fields this one does not know;
+// only the settings in SCHEMA are written over it
+function mergeIntoNewer(file, known) {
+  const out = JSON.parse(JSON.stringify(file));
+  for (const dotted of Object.keys(SCHEMA)) setPath(out, dotted, getPath(known, dotted));
+  return out;
+}
+
+// Saves are chained so slider drags firing many updates never interleave writes
+function save() {
+  if (!configPath) return Promise.resolve();
+  const snapshot = JSON.stringify(newerFile ? mergeIntoNewer(newerFile, config) : config, null, 2);
+
+  pendingSave = pendingSave.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(configPath), { recursive: true });
+
+    // Write then rename so a crash mid-write never leaves a truncated config
+    const tmpPath = `${configPath}.tmp`;
+    await fs.writeFile(tmpPath, snapshot);
+    await fs.rename(tmpPath, configPath);
+  });
+  return pendingSave;
+}
+
+// Load the config from <dir>/config.json, creating it with defaults if missing.
+// A file that does not parse is kept as config.json.bak, never overwritten.
+// readOnly (command-line tools) writes nothing while loading; a missing file
+// stays missing until something is saved through updateConfig.
+async function loadConfig(dir, { readOnly = false } = {}) {
+  configPath = path.join(dir, CONFIG_FILE);
+  newerFile = null;
+
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (err) {
+    config = defaults();
+    if (err.code === 'ENOENT') {
+      if (!readOnly) await save();
+    } else if (err instanceof SyntaxError && !readOnly) {
+      await backUpBadConfig(err);
+    } else {
+      // Unreadable (permissions, a directory, ...): run on defaults and leave it alone
+      console.log(`⚠️  Could not read config (${err.message}), using defaults without saving`);
+      configPath = null;
+    }
+    return config;
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    config = defaults();
+    if (readOnly) {
+      console.log('⚠️  Config is not a JSON object, using defaults without saving');
+      configPath = null;
+    } else {
+      await backUpBadConfig(new Error('not a JSON object'));
+    }
+    return config;
+  }
+
+  // A config from a newer app version is not rewritten on load, and later saves
+  // merge into it so its version and extra fields survive
+  const version = Number.isInteger(raw.version) ? raw.version : 0;
+  const needsSave = version < CONFIG_VERSION;
+  if (version > CONFIG_VERSION) newerFile = raw;
+  config = sanitize(migrate(raw));
+  if (needsSave && !readOnly) await save();
+
+  console.log(`⚙️  Loaded config from ${configPath}`);
+  return config;
+}
+
+// Move a config that cannot be used aside and start over from defaults
+async function backUpBadConfig(err) {
+  const backupPath = `${configPath}.bak`;
+  console.log(`⚠️  Could not parse config (${err.message}), moved it to ${backupPath} and using defaults`);
+  await fs.rename(configPath, backupPath);
+  await save();
+}
+
+function getConfig() {
+  return config;
+}
+
+// Validate and persist a partial update; nothing is written if any field is invalid
+async function updateConfig(patch) {
+  const paths = normalizePatch(patch);
+  const next = JSON.parse(JSON.stringify(config));
+  for (const [dotted, value] of Object.entries(paths)) {
+    setPath(next, dotted, value);
+  }
+
+  config = next;
+  await save();
+  return config;
+}
+
+function getConfigPath() {
+  return configPath;
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  SCHEMA,
+  loadConfig,
+  getConfig,
+  updateConfig,
+  getConfigPath,
+  defaults
+};
@@ -0,0 +1,139 @@
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { frameImage } = require('./capture');
+
+const debugDir = path.join(os.homedir(), 'Documents', 'MHSolver_Debug');
+const RUN_PREFIX = 'run-';
+
+function getDebugFolder() {
+  return debugDir;
+}
+
+// run-20250101-120000-123, sortable by name
+function runFolderName(date) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${RUN_PREFIX}${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+}
+
+// Captured screenshot with every cell rectangle and its detected letter drawn on top
+async function renderOverlay(frame, cells, rects) {
+  const { width, height } = frame.region;
+  const shapes = rects.map(({ row, col, rect }) => {
+    const cell = cells.find(c => c.row === row && c.col === col);
+    const label = cell ? `${cell.letter} ${cell.confidence.toFixed(0)}%` : `${row},${col}`;
+    // Cells are in display pixels; the frame may hold only part of the display
+    const x = rect.left - frame.region.left;
+    const y = rect.top - frame.region.top;
+    return `<rect x="${x}" y="${y}" width="${rect.width}" height="${rect.height}" ` +
+      'fill="none" stroke="#f43f5e" stroke-width="2"/>' +
+      `<text x="${x + 4}" y="${y + 16}" font-family="monospace" font-size="14" fill="#facc15">${label}</text>`;
+  });
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${shapes.join('')}</svg>`;
+
+  return frameImage(frame)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
+
+async function folderSize(dir) {
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    total += entry.isDirectory() ? await folderSize(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return total;
+}
+
+// Retention: keep the newest `keepRuns` runs and stay under `maxSizeMB` (0 = no size cap)
+async function pruneDebugRuns({ keepRuns, maxSizeMB }) {
+  let runs;
+  try {
+    runs = (await fs.readdir(debugDir)).filter(name => name.startsWith(RUN_PREFIX)).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  // Newest first
+  runs.reverse();
+  const sizes = await Promise.all(runs.map(name => folderSize(path.join(debugDir, name))));
+  const maxBytes = maxSizeMB * 1024 * 1024;
+
+  let kept = 0;
+  let keptBytes = 0;
+  for (let i = 0; i < runs.length; i++) {
+    // Always keep the newest run, even if it alone exceeds the cap
+    const fits = i === 0 || (kept < keepRuns && (!maxBytes || keptBytes + sizes[i] <= maxBytes));
+    if (fits) {
+      kept++;
+      keptBytes += sizes[i];
+    } else {
+      await fs.rm(path.join(debugDir, runs[i]), { recursive: true, force: true });
+    }
+  }
+}
+
+// Write one run's artifacts: screenshot, extracted cells, overlay and a JSON report.
+// A cropped screenshot only covers part of the display; report.frame says which,
+// so the report doubles as a replay.js sidecar for it.
+async function writeDebugRun({ frame, recognition, timings, keys, overruns, success, error, retention }) {
+  const startedAt = new Date();
+  const runDir = path.join(debugDir, runFolderName(startedAt));
+  await fs.mkdir(runDir, { recursive: true });
+
+  const report = {
+    timestamp: startedAt.toISOString(),
+    success,
+    error: error || null,
+    timings,
+    // Stages over their share of the time budget (warn mode), see timing.js
+    overruns: overruns || [],
+    // One entry per cell typed: { round, index, label, key, timestamp, skipped }
+    keys: keys || []
+  };
+
+  if (frame) {
+    report.frame = { display: frame.display, region: frame.region };
+    if (frame.raw) {
+      await frameImage(frame).png().toFile(path.join(runDir, 'screenshot.png'));
+    } else {
+      const { format } = await sharp(frame.image).metadata();
+      await fs.writeFile(path.join(runDir, `screenshot.${format === 'jpeg' ? 'jpg' : format}`), frame.image);
+    }
+  }
+
+  if (recognition) {
+    const { grid, cells, geometry, alignment, cellImages, rects } = recognition;
+    report.grid = grid;
+    report.geometry = geometry;
+    // Mean best-match shift; a steady non-zero value points at a wrong offset setting
+    report.alignment = alignment;
+    report.cells = cells;
+
+    await Promise.all(cellImages.map(({ row, col, buffer }) =>
+      sharp(buffer.data, { raw: { width: buffer.info.width, height: buffer.info.height, channels: buffer.info.channels } })
+        .png()
+        .toFile(path.join(runDir, `cell-r${row}c${col}.png`))
+    ));
+
+    if (frame) {
+      await fs.writeFile(path.join(runDir, 'overlay.png'), await renderOverlay(frame, cells, rects));
+    }
+  }
+
+  await fs.writeFile(path.join(runDir, 'report.json'), JSON.stringify(report, null, 2));
+  await pruneDebugRuns(retention);
+
+  console.log(`🐞 Debug run saved: ${runDir}`);
+  return runDir;
+}
+
+module.exports = {
+  getDebugFolder,
+  writeDebugRun,
+  pruneDebugRuns
+};
@@ -0,0 +1,107 @@
+// Grid geometry is configured in reference-resolution pixels (1920x1080) and
+// scaled to whatever frame was actually captured. screenshot-desktop returns
+// physical pixels, so scaling from the frame size also covers Windows display
+// scaling (125%/150% DPI) without a separate factor.
+const REFERENCE = { width: 1920, height: 1080 };
+
+// Named resolutions. Each has its own overrides in the config, under
+// profiles.<name>: `uiScale` pins the HUD scale in percent of the reference
+// when the game does not scale linearly (0 keeps the fitted scale) and `shift`
+// nudges the grid centre in frame pixels.
+const PROFILES = {
+  '1366x768':  { label: '1366x768 (HD)', width: 1366, height: 768 },
+  '1920x1080': { label: '1920x1080 (Full HD)', width: 1920, height: 1080 },
+  '2560x1440': { label: '2560x1440 (2K)', width: 2560, height: 1440 },
+  '3840x2160': { label: '3840x2160 (4K)', width: 3840, height: 2160 },
+  '2560x1080': { label: '2560x1080 (Ultrawide)', width: 2560, height: 1080 },
+  '3440x1440': { label: '3440x1440 (Ultrawide)', width: 3440, height: 1440 },
+  '5120x1440': { label: '5120x1440 (Super Ultrawide)', width: 5120, height: 1440 }
+};
+
+// Sizes already warned about, so a mismatch is logged once rather than on every capture
+const warnedMismatches = new Set();
+
+// Pick the profile name for a captured frame: the configured one, or the one matching the frame in auto mode
+function pickProfile(resolution, width, height) {
+  const size = `${width}x${height}`;
+  if (resolution && resolution !== 'auto') {
+    if (PROFILES[resolution] && resolution !== size) {
+      if (!warnedMismatches.has(`${resolution}@${size}`)) {
+        warnedMismatches.add(`${resolution}@${size}`);
+        console.log(`  ⚠️  Captured ${size} but profile is ${resolution}, scaling from captured size`);
+      }
+      return null;
+    }
+    return PROFILES[resolution] ? resolution : null;
+  }
+  return PROFILES[size] ? size : null;
+}
+
+// Scale and frame position of the reference centre for a frame
+function frameTransform(config, width, height) {
+  const profile = pickProfile(config.resolution, width, height);
+  const overrides = profile && config.profiles ? config.profiles[profile] : null;
+
+  // HUDs scale to fit the reference aspect ratio and stay centred, so ultrawide
+  // frames get extra space at the sides and 16:10 frames at the top and bottom
+  const fitted = Math.min(width / REFERENCE.width, height / REFERENCE.height);
+  const scale = overrides && overrides.uiScale ? overrides.uiScale / 100 : fitted;
+  const shift = overrides ? overrides.shift : { x: 0, y: 0 };
+
+  return { profile, scale, originX: width / 2 + shift.x, originY: height / 2 + shift.y };
+}
+
+// Resolve the configured reference geometry into pixel coordinates for a frame
+function resolveGeometry(config, width, height) {
+  const { profile, scale, originX, originY } = frameTransform(config, width, height);
+  const refX = config.topLeft.x + config.offset.x;
+  const refY = config.topLeft.y + config.offset.y;
+
+  return {
+    profile,
+    scale,
+    frame: { width, height },
+    rows: config.grid.rows,
+    cols: config.grid.cols,
+    cellSize: Math.round(config.cellSize * scale),
+    cellSpacing: config.cellSpacing * scale,
+    topLeft: {
+      x: Math.round(originX + (refX - REFERENCE.width / 2) * scale),
+      y: Math.round(originY + (refY - REFERENCE.height / 2) * scale)
+    }
+  };
+}
+
+// The inverse of resolveGeometry: frame-pixel { topLeft, cellSize, cellSpacing }
+// back to reference settings. The position goes into topLeft with the offsets
+// zeroed, so the position sliders start from the middle of their range.
+function toReferenceGeometry(config, width, height, { topLeft, cellSize, cellSpacing }) {
+  const { scale, originX, originY } = frameTransform(config, width, height);
+  return {
+    topLeft: {
+      x: Math.round((topLeft.x - originX) / scale + REFERENCE.width / 2),
+      y: Math.round((topLeft.y - originY) / scale + REFERENCE.height / 2)
+    },
+    offset: { x: 0, y: 0 },
+    cellSize: Math.round(cellSize / scale),
+    cellSpacing: Math.round(cellSpacing / scale)
+  };
+}
+
+// Pixel rectangle of one cell in the frame
+function cellRect(geometry, row, col) {
+  return {
+    left: Math.round(geometry.topLeft.x + col * geometry.cellSpacing),
+    top: Math.round(geometry.topLeft.y + row * geometry.cellSpacing),
+    width: geometry.cellSize,
+    height: geometry.cellSize
+  };
+}
+
+module.exports = {
+  REFERENCE,
+  PROFILES,
+  resolveGeometry,
+  toReferenceGeometry,
+  cellRect
+};
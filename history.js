@@ -0,0 +1,233 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { STAGES } = require('./timing');
+
+// Run history: one JSON object per line in <dir>/history.jsonl, appended after
+// every run. A line that does not parse (e.g. the app died mid-write) is skipped.
+const HISTORY_FILE = 'history.jsonl';
+// Runs kept on disk; every COMPACT_EVERY appends the file is cut back to this
+const MAX_RUNS = 5000;
+const COMPACT_EVERY = 100;
+// Points per letter in the confidence trend
+const TREND_POINTS = 30;
+
+let historyPath = null;
+let pendingWrite = Promise.resolve();
+let appended = 0;
+
+function openHistory(dir) {
+  historyPath = path.join(dir, HISTORY_FILE);
+  return historyPath;
+}
+
+function getHistoryPath() {
+  return historyPath;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function summarizeCells(cells) {
+  return cells.map(({ row, col, letter, confidence, margin }) => ({
+    row,
+    col,
+    letter,
+    confidence: round1(confidence),
+    margin: round1(margin)
+  }));
+}
+
+// Final run state (run.js) and solver result -> one history entry.
+// `templates` is the loaded template set's fingerprint, so runs made with
+// different template sets can be told apart in an export; `keyDelay` lets the
+// timing profile separate typing overhead from the configured delay.
+function createRunEntry(state, result, { templates = null, keyDelay = null } = {}) {
+  const rounds = (result && result.rounds) || [];
+  return {
+    timestamp: new Date().toISOString(),
+    outcome: state.state,
+    error: state.error || null,
+    totalMs: Math.round((state.executionTime || 0) * 1000),
+    stopReason: (result && result.stopReason) || null,
+    machine: os.hostname(),
+    platform: `${process.platform}-${process.arch}`,
+    templates,
+    keyDelay,
+    rounds: rounds.map(({ round, grid, cells, timings, keys, overruns }) => ({
+      round,
+      grid,
+      cells: summarizeCells(cells),
+      timings: Object.fromEntries(Object.entries(timings).map(([stage, ms]) => [stage, round1(ms)])),
+      // Keys actually sent, '?' cells excluded
+      keys: keys.filter(key => !key.skipped).length,
+      overruns: overruns || []
+    })),
+    // The grid that stopped a failed run, with the cells that were too uncertain
+    blocked: result && !result.success && result.grid
+      ? { grid: result.grid, cells: summarizeCells(result.cells || []) }
+      : null
+  };
+}
+
+async function readRuns() {
+  if (!historyPath) return [];
+  let text;
+  try {
+    text = await fs.readFile(historyPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const runs = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch (err) {
+      // Partial line from an interrupted write
+    }
+  }
+  return runs;
+}
+
+// Cut the file back to the newest MAX_RUNS runs
+async function compact() {
+  const runs = await readRuns();
+  if (runs.length <= MAX_RUNS) return;
+  const tmpPath = `${historyPath}.tmp`;
+  await fs.writeFile(tmpPath, runs.slice(-MAX_RUNS).map(run => JSON.stringify(run)).join('\n') + '\n');
+  await fs.rename(tmpPath, historyPath);
+}
+
+// Append one entry; writes are serialized so concurrent runs never interleave lines
+function recordRun(entry) {
+  if (!historyPath) return Promise.resolve();
+  pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(historyPath), { recursive: true });
+    await fs.appendFile(historyPath, JSON.stringify(entry) + '\n');
+    if (++appended % COMPACT_EVERY === 0) await compact();
+  });
+  return pendingWrite;
+}
+
+function clearHistory() {
+  if (!historyPath) return Promise.resolve();
+  pendingWrite = pendingWrite.catch(() => {}).then(() => fs.rm(historyPath, { force: true }));
+  return pendingWrite;
+}
+
+// { median, p95 } of a list of numbers, null when empty
+function distribution(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { median: at(0.5), p95: at(0.95) };
+}
+
+// Success rate, time distributions and per-letter confidence over a list of runs.
+// The success rate leaves cancelled runs out; times only count completed runs.
+function computeStats(runs) {
+  const count = (outcome) => runs.filter(run => run.outcome === outcome).length;
+  const done = runs.filter(run => run.outcome === 'done');
+  const failed = count('failed');
+
+  const stages = {};
+  for (const stage of STAGES) {
+    stages[stage] = distribution(done.flatMap(run => run.rounds
+      .map(round => round.timings[stage])
+      .filter(ms => typeof ms === 'number')));
+  }
+
+  // Per letter: every detected cell, plus the run-by-run mean for the trend
+  const letters = {};
+  for (const run of runs) {
+    const cells = run.rounds.flatMap(round => round.cells);
+    if (run.blocked) cells.push(...run.blocked.cells);
+    const perRun = {};
+    for (const { letter, confidence } of cells) {
+      if (letter === '?') continue;
+      (perRun[letter] = perRun[letter] || []).push(confidence);
+    }
+    for (const [letter, confidences] of Object.entries(perRun)) {
+      const stats = letters[letter] = letters[letter] || { cells: 0, total: 0, min: Infinity, trend: [] };
+      stats.cells += confidences.length;
+      stats.total += confidences.reduce((a, b) => a + b, 0);
+      stats.min = Math.min(stats.min, ...confidences);
+      stats.trend.push({
+        timestamp: run.timestamp,
+        confidence: round1(confidences.reduce((a, b) => a + b, 0) / confidences.length)
+      });
+    }
+  }
+  for (const stats of Object.values(letters)) {
+    stats.meanConfidence = round1(stats.total / stats.cells);
+    stats.minConfidence = stats.min;
+    stats.trend = stats.trend.slice(-TREND_POINTS);
+    delete stats.total;
+    delete stats.min;
+  }
+
+  return {
+    runs: runs.length,
+    done: done.length,
+    failed,
+    cancelled: count('cancelled'),
+    successRate: done.length + failed > 0 ? (done.length / (done.length + failed)) * 100 : null,
+    totalMs: distribution(done.map(run => run.totalMs)),
+    stages,
+    letters
+  };
+}
+
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV row per round (a run that never finished a round still gets a row),
+// so timings and confidences line up across machines and template sets
+function toCsv(runs) {
+  const header = ['timestamp', 'outcome', 'error', 'machine', 'platform', 'templates', 'total_ms', 'round',
+    ...STAGES.map(stage => `${stage}_ms`), 'grid', 'min_confidence', 'mean_confidence', 'cells'];
+  const rows = [header];
+
+  for (const run of runs) {
+    const base = [run.timestamp, run.outcome, run.error, run.machine, run.platform, run.templates, run.totalMs];
+    const rounds = run.rounds.length > 0 ? run.rounds : [run.blocked ? { ...run.blocked, timings: {} } : null];
+    for (const round of rounds) {
+      if (!round) {
+        rows.push([...base, '', ...STAGES.map(() => ''), '', '', '', '']);
+        continue;
+      }
+      const confidences = round.cells.map(cell => cell.confidence);
+      rows.push([
+        ...base,
+        round.round || '',
+        ...STAGES.map(stage => round.timings[stage] !== undefined ? round.timings[stage] : ''),
+        round.grid.map(row => row.join('')).join(' '),
+        confidences.length ? Math.min(...confidences) : '',
+        confidences.length ? round1(confidences.reduce((a, b) => a + b, 0) / confidences.length) : '',
+        round.cells.map(cell => `r${cell.row}c${cell.col}=${cell.letter}:${cell.confidence}`).join(' ')
+      ]);
+    }
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function exportRuns(runs, format) {
+  if (format === 'csv') return toCsv(runs);
+  if (format === 'json') return JSON.stringify(runs, null, 2) + '\n';
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+module.exports = {
+  openHistory,
+  getHistoryPath,
+  createRunEntry,
+  recordRun,
+  readRuns,
+  clearHistory,
+  computeStats,
+  exportRuns
+};
@@ -0,0 +1,284 @@
+const { spawn, execFile } = require('child_process');
+
+// Every backend implements the same shape:
+//   name                       backend id, as stored in config.input.backend
+//   check()                    -> { available, reason } without side effects
+//   start()                    spawn helpers, throws if the backend cannot run
+//   sendKey(spec)              press and release one key spec, resolves once sent
+//   stop()                     release helpers; start() may be called again
+//
+// A key spec is a lower-case key name with optional modifiers joined by '+':
+// 'q', '7', 'up', 'enter', 'f5', 'ctrl+s', 'shift+tab'.
+
+const READY_TIMEOUT = 5000;
+const KEY_TIMEOUT = 2000;
+
+const MODIFIERS = ['ctrl', 'shift', 'alt'];
+
+// Named keys with their SendKeys and xdotool spellings
+const NAMED_KEYS = {
+  up:        { sendKeys: '{UP}', xdotool: 'Up' },
+  down:      { sendKeys: '{DOWN}', xdotool: 'Down' },
+  left:      { sendKeys: '{LEFT}', xdotool: 'Left' },
+  right:     { sendKeys: '{RIGHT}', xdotool: 'Right' },
+  enter:     { sendKeys: '{ENTER}', xdotool: 'Return' },
+  space:     { sendKeys: ' ', xdotool: 'space' },
+  tab:       { sendKeys: '{TAB}', xdotool: 'Tab' },
+  escape:    { sendKeys: '{ESC}', xdotool: 'Escape' },
+  backspace: { sendKeys: '{BACKSPACE}', xdotool: 'BackSpace' },
+  delete:    { sendKeys: '{DELETE}', xdotool: 'Delete' },
+  insert:    { sendKeys: '{INSERT}', xdotool: 'Insert' },
+  home:      { sendKeys: '{HOME}', xdotool: 'Home' },
+  end:       { sendKeys: '{END}', xdotool: 'End' },
+  pageup:    { sendKeys: '{PGUP}', xdotool: 'Prior' },
+  pagedown:  { sendKeys: '{PGDN}', xdotool: 'Next' }
+};
+for (let n = 1; n <= 12; n++) {
+  NAMED_KEYS[`f${n}`] = { sendKeys: `{F${n}}`, xdotool: `F${n}` };
+}
+
+// Split and validate a key spec; throws on anything a backend could not send
+function parseKeySpec(spec) {
+  if (typeof spec !== 'string' || !spec) throw new Error('Key must be a non-empty string');
+  const parts = spec.toLowerCase().split('+');
+  const key = parts.pop();
+  const modifiers = parts;
+
+  for (const modifier of modifiers) {
+    if (!MODIFIERS.includes(modifier)) throw new Error(`Unknown modifier "${modifier}" in key ${spec}`);
+  }
+  if (!/^[a-z0-9]$/.test(key) && !NAMED_KEYS[key]) {
+    throw new Error(`Unknown key "${key}" in ${spec} (use a-z, 0-9 or ${Object.keys(NAMED_KEYS).join(', ')})`);
+  }
+  return { key, modifiers };
+}
+
+// 'ctrl+up' -> '^{UP}'
+function toSendKeys(spec) {
+  const { key, modifiers } = parseKeySpec(spec);
+  const prefix = modifiers.map(m => ({ ctrl: '^', shift: '+', alt: '%' })[m]).join('');
+  return prefix + (NAMED_KEYS[key] ? NAMED_KEYS[key].sendKeys : key);
+}
+
+// 'ctrl+up' -> 'ctrl+Up'
+function toXdotool(spec) {
+  const { key, modifiers } = parseKeySpec(spec);
+  return [...modifiers, NAMED_KEYS[key] ? NAMED_KEYS[key].xdotool : key].join('+');
+}
+
+// One long-lived PowerShell host that reads keys from stdin and acks each with a line,
+// instead of paying PowerShell's startup cost for every key
+function createPowerShellBackend() {
+  const script = [
+    'Add-Type -AssemblyName System.Windows.Forms',
+    "[Console]::Out.WriteLine('ready')",
+    'while (($line = [Console]::In.ReadLine()) -ne $null) {',
+    '  [System.Windows.Forms.SendKeys]::SendWait($line)',
+    "  [Console]::Out.WriteLine('ok')",
+    '}'
+  ].join('\n');
+
+  let child = null;
+  let pending = [];
+  let buffered = '';
+
+  function failPending(error) {
+    for (const { reject } of pending) reject(error);
+    pending = [];
+  }
+
+  function waitForLine(timeout) {
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject };
+      const timer = setTimeout(() => {
+        pending = pending.filter(p => p !== entry);
+        reject(new Error('PowerShell input host did not respond'));
+      }, timeout);
+      entry.resolve = (line) => { clearTimeout(timer); resolve(line); };
+      entry.reject = (err) => { clearTimeout(timer); reject(err); };
+      pending.push(entry);
+    });
+  }
+
+  // The host died or its pipe broke: everything still waiting fails with it
+  function hostFailed(proc, error) {
+    if (child !== proc) return;
+    child = null;
+    failPending(error);
+  }
+
+  async function start() {
+    if (child) return;
+    // The script goes in as -EncodedCommand so stdin carries nothing but keys
+    const encoded = Buffer.from(script, 'utf16le').toString('base64');
+    const ready = waitForLine(READY_TIMEOUT);
+    const proc = spawn('powershell', ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-EncodedCommand', encoded], {
+      stdio: ['pipe', 'pipe', 'ignore'],
+      windowsHide: true
+    });
+    child = proc;
+    buffered = '';
+
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', (chunk) => {
+      buffered += chunk;
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline).trim();
+        buffered = buffered.slice(newline + 1);
+        const next = pending.shift();
+        if (next) next.resolve(line);
+      }
+    });
+    // Ignore late events from a host that was already replaced by stop()/start()
+    proc.on('exit', () => hostFailed(proc, new Error('PowerShell input host exited')));
+    proc.on('error', (err) => hostFailed(proc, err));
+    // Writing a key to a host that just died fails with EPIPE here, not at write()
+    proc.stdin.on('error', (err) => hostFailed(proc, err));
+
+    try {
+      await ready;
+    } catch (err) {
+      proc.kill();
+      if (child === proc) child = null;
+      throw err;
+    }
+  }
+
+  async function stop() {
+    if (!child) return;
+    const proc = child;
+    child = null;
+    failPending(new Error('PowerShell input host stopped'));
+    proc.stdin.end();
+    proc.kill();
+  }
+
+  return {
+    name: 'powershell',
+
+    async check() {
+      if (process.platform !== 'win32') {
+        return { available: false, reason: 'PowerShell SendKeys only works on Windows' };
+      }
+      return { available: true, reason: null };
+    },
+
+    start,
+
+    async sendKey(spec) {
+      if (!child) throw new Error('PowerShell input host is not running');
+      const proc = child;
+      const line = toSendKeys(spec);
+      const ack = waitForLine(KEY_TIMEOUT);
+      proc.stdin.write(`${line}\n`);
+      try {
+        await ack;
+      } catch (err) {
+        // Acks are matched by order, so a late 'ok' would answer the next key.
+        // Replace a host that stopped answering instead of reusing it.
+        if (child === proc) {
+          await stop();
+          await start().catch(() => {});
+        }
+        throw err;
+      }
+    },
+
+    stop
+  };
+}
+
+// X11 backend using xdotool (XTest under the hood)
+function createXdotoolBackend() {
+  const run = (args) => new Promise((resolve, reject) => {
+    execFile('xdotool', args, { timeout: KEY_TIMEOUT }, (error) => {
+      if (error) reject(error);
+      else resolve();
+    });
+  });
+
+  return {
+    name: 'xdotool',
+
+    async check() {
+      if (process.platform !== 'linux') {
+        return { available: false, reason: 'xdotool is only used on Linux' };
+      }
+      if (!process.env.DISPLAY) {
+        return { available: false, reason: 'No X11 DISPLAY (Wayland sessions need XWayland)' };
+      }
+      try {
+        await run(['version']);
+        return { available: true, reason: null };
+      } catch (err) {
+        return { available: false, reason: 'xdotool is not installed' };
+      }
+    },
+
+    async start() {},
+
+    async sendKey(spec) {
+      await run(['key', '--clearmodifiers', toXdotool(spec)]);
+    },
+
+    async stop() {}
+  };
+}
+
+// Sends nothing; records every key with a timestamp for tests and dry runs
+function createRecordingBackend() {
+  let events = [];
+
+  return {
+    name: 'recording',
+
+    async check() {
+      return { available: true, reason: null };
+    },
+
+    async start() {},
+
+    async sendKey(spec) {
+      parseKeySpec(spec);
+      const event = { key: spec, timestamp: Date.now() };
+      events.push(event);
+      console.log(`  📝 [recording] ${spec} @ ${event.timestamp}`);
+    },
+
+    async stop() {},
+
+    getEvents() {
+      return events.slice();
+    },
+
+    clear() {
+      events = [];
+    }
+  };
+}
+
+const BACKENDS = {
+  powershell: createPowerShellBackend,
+  xdotool: createXdotoolBackend,
+  recording: createRecordingBackend
+};
+
+// 'auto' picks the platform's real input backend; it never silently falls back to recording
+function resolveBackendName(name) {
+  if (name !== 'auto') return name;
+  return process.platform === 'win32' ? 'powershell' : 'xdotool';
+}
+
+function createInputBackend(name) {
+  const factory = BACKENDS[resolveBackendName(name)];
+  if (!factory) throw new Error(`Unknown input backend: ${name}`);
+  return factory();
+}
+
+module.exports = {
+  BACKEND_NAMES: ['auto', ...Object.keys(BACKENDS)],
+  createInputBackend,
+  resolveBackendName,
+  parseKeySpec
+};
@@ -1,11 +1,83 @@
-const { app, BrowserWindow, ipcMain, globalShortcut, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, globalShortcut, shell, dialog } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
 const solver = require('./solver');
+const configStore = require('./config');
+const templates = require('./templates');
+const { createWatcher } = require('./watch');
+const { createRunController } = require('./run');
+const history = require('./history');
+const timing = require('./timing');
+const { calibrate } = require('./calibrate');
+const { resolveGeometry, PROFILES } = require('./geometry');
+const { COLOR_PROFILES } = require('./colors');
+const { frameImage } = require('./capture');
+const { createOverlay, findDisplay } = require('./overlay');
+const { createControlApi } = require('./api');
 
 let mainWindow;
-let isDetecting = false;
 let templatesLoaded = false;
+let pendingCapture = null;
+// Full-display frame the calibration view marks the grid on
+let calibrationFrame = null;
+// Cells of the last detected grid (row-major), labelled on the overlay
+let lastCells = null;
+
+// Click-through window drawing the cells over the game, see overlay.js
+const overlay = createOverlay();
+// Electron id of the display the overlay covers ('' for the primary display)
+let overlayDisplay = '';
+// Stage timing profile from the run history, rebuilt after the history changes
+let timingProfile = null;
+// Last finished run as recorded in the run history, served by the control API
+let lastRun = null;
+
+// Localhost HTTP/WebSocket API for external triggers, see api.js
+const controlApi = createControlApi({
+  status: () => ({
+    run: runs.getState(),
+    watch: watcher.getStatus(),
+    input: solver.getInputStatus(),
+    templates: solver.getTemplateStatus(),
+    version: app.getVersion()
+  }),
+  start: () => {
+    if (runs.isBusy()) return false;
+    startSolver();
+    return true;
+  },
+  stop: () => runs.cancel(),
+  result: () => lastRun,
+  getConfig: () => configStore.getConfig(),
+  setConfig: (patch) => applyExternalConfig(patch)
+});
+
+// Solver events go to the window and to control API clients alike
+function emit(channel, data) {
+  if (mainWindow) mainWindow.webContents.send(channel, data);
+  controlApi.broadcast(channel, data);
+}
+
+// The one place that knows whether a solve is running; its state drives the status bar
+const runs = createRunController({
+  onState: (state) => emit('run-state', state)
+});
+
+// Watch mode solves when the grid appears, without the hotkey
+const watcher = createWatcher({
+  probe: () => solver.probeGrid(),
+  solve: async () => {
+    const result = await startSolver();
+    // A run that threw after its cancel resolves null, so ask the controller how it ended
+    if (runs.getState().state === 'cancelled') return 'cancelled';
+    return result && result.success ? 'solved' : 'failed';
+  },
+  isBusy: () => runs.isBusy(),
+  settings: () => configStore.getConfig().watch,
+  onStatus: (status) => emit('watch-status', status)
+});
 
 // Auto-updater configuration
 autoUpdater.autoDownload = false;
@@ -31,15 +103,14 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
+    // The overlay would otherwise keep the app running with no way to reach it
+    overlay.hide();
   });
   
   // Check for updates after window loads
   mainWindow.webContents.once('did-finish-load', () => {
     // Send template status to UI
-    mainWindow.webContents.send('template-status', { 
-      loaded: templatesLoaded,
-      count: templatesLoaded ? 7 : 0 
-    });
+    mainWindow.webContents.send('template-status', solver.getTemplateStatus());
     
     // Only check for updates in production
     if (!process.env.DEBUG) {
@@ -135,103 +206,302 @@ ipcMain.handle('get-app-version', () => {
 });
 
 // ============ SOLVER FUNCTIONALITY ============
-// Register global hotkey
-function registerHotkey(hotkey) {
-  globalShortcut.unregisterAll();
+// Registered shortcut per role, so changing one hotkey never drops the other
+const hotkeys = {};
+
+// A failed registration keeps the role's previous hotkey working.
+function registerShortcut(role, hotkey, handler) {
+  if (Object.entries(hotkeys).some(([other, key]) => other !== role && key === hotkey)) {
+    console.error(`${role} hotkey ${hotkey} is already in use`);
+    return false;
+  }
   
-  const success = globalShortcut.register(hotkey, () => {
-    if (!isDetecting) {
-      startSolver();
-    } else {
-      stopSolver();
-    }
-  });
+  const previous = hotkeys[role];
+  if (previous) globalShortcut.unregister(previous);
+  
+  const success = globalShortcut.register(hotkey, handler);
 
   if (!success) {
-    console.error('Hotkey registration failed');
+    console.error(`${role} hotkey registration failed`);
+    if (previous) globalShortcut.register(previous, handler);
     return false;
   }
 
+  hotkeys[role] = hotkey;
   return true;
 }
 
-async function startSolver() {
-  if (isDetecting) return;
-  
-  // Check if templates are loaded
-  if (!templatesLoaded) {
-    mainWindow.webContents.send('solver-status', { 
-      status: 'error', 
-      message: 'Templates not loaded! Check setup instructions.' 
-    });
+function registerHotkey(hotkey) {
+  return registerShortcut('Solver', hotkey, () => {
+    if (!runs.cancel()) startSolver();
+  });
+}
+
+function registerOverlayHotkey(hotkey) {
+  return registerShortcut('Overlay', hotkey, toggleOverlay);
+}
+
+// The capture display's id belongs to the capture source, and the screenshot
+// source's ids mean nothing to Electron, so look the monitor up once per change
+async function resolveOverlayDisplay() {
+  const { display } = configStore.getConfig().capture;
+  overlayDisplay = '';
+  if (!display) return;
+  try {
+    const target = (await solver.listDisplays()).find(d => d.id === display);
+    const match = target && findDisplay(target);
+    if (match) overlayDisplay = String(match.id);
+    else console.log(`⚠️  Display ${display} not found among the app's screens, overlay on the primary display`);
+  } catch (error) {
+    console.error('Overlay display lookup error:', error);
+  }
+}
+
+// Show, hide and redraw the overlay to match the settings. The cells come from
+// the configured geometry, so they follow the position sliders as they move.
+function syncOverlay() {
+  const config = configStore.getConfig();
+  if (!config.overlay.enabled) {
+    overlay.hide();
     return;
   }
   
-  isDetecting = true;
-  mainWindow.webContents.send('solver-status', { 
-    status: 'detecting', 
-    message: 'Starting fast solver...' 
-  });
+  overlay.show(overlayDisplay);
+  const { width, height } = overlay.displaySize();
+  const geometry = resolveGeometry(config, width, height);
+  const cells = lastCells && lastCells.length === geometry.rows * geometry.cols ? lastCells : [];
+  overlay.update(geometry, cells);
+}
 
+async function toggleOverlay() {
+  const enabled = !configStore.getConfig().overlay.enabled;
   try {
-    const startTime = Date.now();
+    await configStore.updateConfig({ overlay: { enabled } });
+  } catch (error) {
+    console.error('Overlay toggle error:', error);
+    return;
+  }
+  syncOverlay();
+  if (mainWindow) mainWindow.webContents.send('overlay-state', { enabled });
+}
+
+// Letters and confidences the overlay labels its cells with
+function showDetection(cells) {
+  lastCells = cells.map(({ letter, confidence, uncertain }) => ({ letter, confidence, uncertain }));
+  syncOverlay();
+}
+
+// Why a multi-round run ended, as shown in the status bar
+const ROUND_STOP_REASONS = {
+  rounds: 'round limit reached',
+  timeout: 'no new grid in time',
+  'grid-closed': 'grid closed'
+};
+
+function sendGrid(grid, uncertain, geometry) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const letters = grid.flat();
+  const indexes = (uncertain || []).map(cell => cell.row * cols + cell.col);
+  emit('grid-detected', { rows, cols, letters, uncertain: indexes, geometry });
+}
+
+// One solved round: its own grid and stage timings
+function sendRound({ round, grid, timings }) {
+  const maxRounds = configStore.getConfig().rounds.max;
+  emit('round-complete', {
+    round,
+    maxRounds,
+    rows: grid.length,
+    cols: grid[0].length,
+    letters: grid.flat(),
+    timings
+  });
+}
+
+// Resolves the solver result, or null when a run was already going.
+// Every run that starts ends up in the run history, whatever its outcome.
+async function startSolver() {
+  if (runs.isBusy()) return null;
+  const result = await runs.start(async ({ signal, stage }) => {
+    // Check if templates are loaded
+    if (!templatesLoaded) {
+      return { success: false, error: 'Templates not loaded! Check setup instructions.' };
+    }
     
-    // Use the new fast solver
-    const result = await solver.solveMinigameFast();
+    // Use the new fast solver; each round is shown as soon as its keys are in
+    const result = await solver.solveMinigameFast({
+      signal,
+      stage,
+      // Each round's grid goes out before its keys so progress shows on the right letters
+      onGrid: ({ grid, cells, geometry }) => {
+        sendGrid(grid, [], geometry);
+        showDetection(cells);
+      },
+      onKey: (event) => emit('key-pressed', event),
+      onRound: sendRound
+    });
     
-    if (!result.success) {
-      throw new Error(result.error || 'Solver failed');
+    // Send the grid that blocked input to UI, including its uncertain cells
+    if (!result.success && result.grid) {
+      sendGrid(result.grid, result.uncertain, result.geometry);
+      showDetection(result.cells);
     }
     
-    // Send detected grid to UI
-    const letters = [];
-    for (let row = 0; row < 3; row++) {
-      for (let col = 0; col < 3; col++) {
-        letters.push(result.grid[row][col]);
-      }
+    const rounds = result.rounds.length;
+    const summary = [];
+    if (result.success && rounds > 1) {
+      summary.push(`${rounds} rounds (${ROUND_STOP_REASONS[result.stopReason]})`);
     }
-    mainWindow.webContents.send('grid-detected', { letters });
-    
-    const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    
-    mainWindow.webContents.send('solver-status', { 
-      status: 'complete', 
-      message: `Complete in ${executionTime}s`,
-      executionTime: parseFloat(executionTime)
-    });
+    const overBudget = [...new Set(result.rounds.flatMap(round => round.overruns.map(overrun => overrun.stage)))];
+    if (overBudget.length > 0) summary.push(`⚠ over budget: ${overBudget.join(', ')}`);
+    if (summary.length > 0) result.summary = summary.join(' · ');
+    return result;
+  });
+  
+  const entry = history.createRunEntry(runs.getState(), result, {
+    templates: solver.getTemplateStatus().fingerprint,
+    keyDelay: configStore.getConfig().keyDelay
+  });
+  lastRun = entry;
+  history.recordRun(entry)
+    .then(() => { timingProfile = null; })
+    .catch(err => console.error('⚠️  Could not record run history:', err.message));
+  return result;
+}
 
-  } catch (error) {
-    console.error('Solver error:', error);
-    mainWindow.webContents.send('solver-status', { 
-      status: 'error', 
-      message: error.message 
-    });
-  } finally {
-    isDetecting = false;
+// Save a settings change and bring the solver, watch mode, overlay and control API in line
+async function applyConfig(patch) {
+  const previous = configStore.getConfig().capture;
+  const config = await configStore.updateConfig(patch);
+  solver.updateConfig(config);
+  if (config.capture.display !== previous.display || config.capture.source !== previous.source) {
+    await resolveOverlayDisplay();
+  }
+  
+  // Check the newly selected input backend right away so the UI can show its status
+  if (patch && patch.input) {
+    await solver.initInput();
   }
+  if (patch && patch.watch && 'enabled' in patch.watch) {
+    if (config.watch.enabled) watcher.start();
+    else watcher.stop();
+  }
+  syncOverlay();
+  await syncControlApi();
+  return configStore.getConfig();
 }
 
-function stopSolver() {
-  isDetecting = false;
-  solver.stopSolver();
-  mainWindow.webContents.send('solver-status', { 
-    status: 'stopped', 
-    message: 'Stopped' 
-  });
+// A settings change from the control API. The settings panel only saves a
+// hotkey once it registered, so a new hotkey that will not register is put back.
+async function applyExternalConfig(patch) {
+  const previous = configStore.getConfig();
+  const config = await applyConfig(patch);
+  
+  const failed = [];
+  if (config.hotkey !== previous.hotkey && !registerHotkey(config.hotkey)) {
+    failed.push(config.hotkey);
+    await applyConfig({ hotkey: previous.hotkey });
+  }
+  if (config.overlay.hotkey !== previous.overlay.hotkey && !registerOverlayHotkey(config.overlay.hotkey)) {
+    failed.push(config.overlay.hotkey);
+    await applyConfig({ overlay: { hotkey: previous.overlay.hotkey } });
+  }
+  
+  if (mainWindow) mainWindow.webContents.send('config-updated', configStore.getConfig());
+  if (failed.length > 0) throw new Error(`Could not register hotkey ${failed.join(', ')}; the rest of the change was saved`);
+  return configStore.getConfig();
+}
+
+// Run the control API as configured; turning it on without a token generates one
+async function syncControlApi() {
+  let { api } = configStore.getConfig();
+  if (api.enabled && !api.token) {
+    ({ api } = await configStore.updateConfig({ api: { token: crypto.randomBytes(24).toString('base64url') } }));
+  }
+  const status = await controlApi.configure(api);
+  if (mainWindow) mainWindow.webContents.send('api-status', status);
+}
+
+async function getTimingProfile() {
+  if (!timingProfile) timingProfile = timing.computeProfile(await history.readRuns());
+  return timingProfile;
 }
 
 // IPC Handlers
+ipcMain.handle('get-history', async () => {
+  try {
+    const runs = await history.readRuns();
+    return { success: true, stats: history.computeStats(runs), recent: runs.slice(-20).reverse() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-history', async (event, format) => {
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export run history',
+      defaultPath: `mhsolver-history.${format}`,
+      filters: [{ name: format.toUpperCase(), extensions: [format] }]
+    });
+    if (canceled || !filePath) return { success: false, canceled: true };
+    
+    await fs.writeFile(filePath, history.exportRuns(await history.readRuns(), format));
+    return { success: true, path: filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('clear-history', async () => {
+  try {
+    await history.clearHistory();
+    timingProfile = null;
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Expected time per round with the current settings, from measured runs
+ipcMain.handle('get-time-estimate', async () => {
+  try {
+    const config = configStore.getConfig();
+    const estimate = timing.estimateRound(await getTimingProfile(), {
+      keyDelay: config.keyDelay,
+      delayVariance: config.delayVariance,
+      keyCount: config.grid.rows * config.grid.cols
+    });
+    return { success: true, estimate, budget: config.budget };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('register-hotkey', async (event, hotkey) => {
   return registerHotkey(hotkey);
 });
 
+ipcMain.handle('register-overlay-hotkey', async (event, hotkey) => {
+  return registerOverlayHotkey(hotkey);
+});
+
 ipcMain.handle('get-config', async () => {
-  return solver.getConfig();
+  return configStore.getConfig();
 });
 
-ipcMain.handle('update-config', async (event, config) => {
-  solver.updateConfig(config);
-  return true;
+ipcMain.handle('update-config', async (event, patch) => {
+  try {
+    return { success: true, config: await applyConfig(patch) };
+  } catch (error) {
+    console.error('Config update error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-api-status', async () => {
+  return controlApi.getStatus();
 });
 
 ipcMain.handle('start-solver', async () => {
@@ -239,48 +509,248 @@ ipcMain.handle('start-solver', async () => {
 });
 
 ipcMain.handle('stop-solver', async () => {
-  stopSolver();
+  return runs.cancel();
+});
+
+ipcMain.handle('get-run-state', async () => {
+  return runs.getState();
+});
+
+ipcMain.handle('get-watch-status', async () => {
+  return watcher.getStatus();
+});
+
+// Choices for the settings selects, so the panel lists exactly what the config accepts
+ipcMain.handle('get-setting-options', async () => {
+  const options = (profiles) => Object.entries(profiles).map(([value, { label }]) => ({ value, label }));
+  return { resolutions: options(PROFILES), colorProfiles: options(COLOR_PROFILES) };
+});
+
+ipcMain.handle('list-displays', async () => {
+  try {
+    return { success: true, displays: await solver.listDisplays() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-input-status', async () => {
+  return solver.getInputStatus();
 });
 
 ipcMain.handle('get-templates-status', async () => {
-  return { loaded: templatesLoaded, count: templatesLoaded ? 7 : 0 };
+  return solver.getTemplateStatus();
 });
 
 // Debug folder handlers
 ipcMain.handle('get-debug-folder', () => {
-  return solver.getDebugFolder ? solver.getDebugFolder() : path.join(require('os').homedir(), 'Documents', 'MHSolver_Debug');
+  return solver.getDebugFolder();
 });
 
 ipcMain.handle('open-debug-folder', async () => {
-  const debugFolder = solver.getDebugFolder ? solver.getDebugFolder() : path.join(require('os').homedir(), 'Documents', 'MHSolver_Debug');
+  const debugFolder = solver.getDebugFolder();
+  await fs.mkdir(debugFolder, { recursive: true });
   await shell.openPath(debugFolder);
 });
 
 ipcMain.handle('open-templates-folder', async () => {
-  const templatesFolder = path.join(__dirname, 'letter_templates');
-  await shell.openPath(templatesFolder);
+  await shell.openPath(templates.getTemplatesDir());
+});
+
+// ============ TEMPLATE MANAGER ============
+function toDataUrl(png) {
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+async function reloadTemplates() {
+  // Templates live in user data so the template manager can edit them
+  await templates.useTemplatesDir(path.join(app.getPath('userData'), 'letter_templates'));
+  templatesLoaded = await solver.loadTemplates();
+  const status = solver.getTemplateStatus();
+  if (mainWindow) {
+    mainWindow.webContents.send('template-status', status);
+  }
+  return status;
+}
+
+// Binarized previews of the captured cells with the current colour settings
+async function captureMasks() {
+  if (!pendingCapture) return [];
+  const masks = await Promise.all(pendingCapture.cells.map(({ png }) => solver.binarizeCell(png)));
+  return masks.map(toDataUrl);
+}
+
+ipcMain.handle('get-capture-masks', async () => {
+  try {
+    return { success: true, masks: await captureMasks() };
+  } catch (error) {
+    console.error('Mask preview error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Grab the current grid so its cells can be labeled; the delay gives time to switch to the game
+ipcMain.handle('capture-template-cells', async (event, delayMs = 0) => {
+  try {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    pendingCapture = await solver.captureCells();
+    const masks = await captureMasks();
+    return {
+      success: true,
+      cells: pendingCapture.cells.map(({ row, col, png }, index) => ({ row, col, image: toDataUrl(png), mask: masks[index] })),
+      geometry: pendingCapture.geometry
+    };
+  } catch (error) {
+    console.error('Template capture error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-template', async (event, { index, letter, mode }) => {
+  try {
+    if (!pendingCapture || !pendingCapture.cells[index]) {
+      throw new Error('Capture the grid before saving a template');
+    }
+    await templates.saveTemplate(letter, pendingCapture.cells[index].png, mode);
+    return { success: true, status: await reloadTemplates() };
+  } catch (error) {
+    console.error('Save template error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('list-templates', async () => {
+  try {
+    const files = await templates.listTemplateFiles();
+    return {
+      success: true,
+      letters: templates.getLabels(),
+      templates: files.map(({ letter, id, png }) => ({ letter, id, image: toDataUrl(png) }))
+    };
+  } catch (error) {
+    console.error('List templates error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-template', async (event, id) => {
+  try {
+    await templates.deleteTemplate(id);
+    return { success: true, status: await reloadTemplates() };
+  } catch (error) {
+    console.error('Delete template error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reload-templates', async () => {
+  return reloadTemplates();
+});
+
+// Screenshot for the calibration view, with the grid the current settings resolve to
+ipcMain.handle('calibrate-capture', async (event, delayMs = 0) => {
+  try {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    calibrationFrame = await solver.captureDisplay();
+    const { width, height } = calibrationFrame.display;
+    const config = configStore.getConfig();
+    return {
+      success: true,
+      image: toDataUrl(await frameImage(calibrationFrame).png().toBuffer()),
+      width,
+      height,
+      rows: config.grid.rows,
+      cols: config.grid.cols,
+      geometry: resolveGeometry(config, width, height)
+    };
+  } catch (error) {
+    console.error('Calibration capture error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Geometry from the user's marks, test-matched on the calibration screenshot
+ipcMain.handle('calibrate-test', async (event, marks) => {
+  try {
+    if (!calibrationFrame) throw new Error('Take a calibration screenshot first');
+    const { width, height } = calibrationFrame.display;
+    const { patch, geometry } = calibrate(configStore.getConfig(), width, height, marks);
+    const recognition = await solver.recognizeGrid(calibrationFrame, { geometry });
+    return {
+      success: true,
+      patch,
+      geometry,
+      cells: recognition.cells.map(({ row, col, letter, confidence, margin, uncertain }, index) => ({
+        row, col, letter, confidence, margin, uncertain, rect: recognition.rects[index].rect
+      }))
+    };
+  } catch (error) {
+    console.error('Calibration test error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('calibrate-save', async (event, marks) => {
+  try {
+    if (!calibrationFrame) throw new Error('Take a calibration screenshot first');
+    const { width, height } = calibrationFrame.display;
+    const { patch } = calibrate(configStore.getConfig(), width, height, marks);
+    const config = await configStore.updateConfig(patch);
+    solver.updateConfig(config);
+    syncOverlay();
+    console.log(`📐 Calibrated: top-left ${patch.topLeft.x},${patch.topLeft.y}, cell ${patch.cellSize}px, spacing ${patch.cellSpacing}px`);
+    return { success: true, config };
+  } catch (error) {
+    console.error('Calibration save error:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 // App lifecycle
 app.whenReady().then(async () => {
+  // Load persisted settings before the UI asks for them
+  const config = await configStore.loadConfig(app.getPath('userData'));
+  solver.updateConfig(config);
+  history.openHistory(app.getPath('userData'));
+
   createWindow();
   
   // Load templates on startup
   console.log('🚀 MH Solver starting...');
   console.log('📂 Loading letter templates...');
   
-  templatesLoaded = await solver.loadTemplates();
+  // Templates live in user data so the template manager can edit them
+  await templates.useTemplatesDir(path.join(app.getPath('userData'), 'letter_templates'));
+  await reloadTemplates();
   
   if (!templatesLoaded) {
     console.log('⚠️  WARNING: Templates not loaded!');
-    console.log('📁 Please add 7 letter images (Q.png, W.png, E.png, R.png, A.png, S.png, D.png)');
-    console.log(`📂 To folder: ${path.join(__dirname, 'letter_templates')}`);
+    console.log(`📁 Please add ${templates.getLabels().length} letter images (${templates.getLabels().map(l => `${l}.png`).join(', ')})`);
+    console.log(`📂 To folder: ${templates.getTemplatesDir()}`);
   } else {
     console.log('✅ Templates loaded successfully!');
   }
   
-  // Register default hotkey (F1)
-  registerHotkey('F1');
+  // Check the key input backend up front instead of failing on the first solve
+  const inputStatus = await solver.initInput();
+  if (!inputStatus.available) {
+    console.log(`⚠️  WARNING: ${inputStatus.backend} input unavailable - ${inputStatus.reason}`);
+  }
+  
+  // Register saved hotkey (F1 by default)
+  if (!registerHotkey(config.hotkey)) {
+    registerHotkey('F1');
+  }
+  if (!registerOverlayHotkey(config.overlay.hotkey)) {
+    console.log(`⚠️  Overlay hotkey ${config.overlay.hotkey} unavailable`);
+  }
+  await resolveOverlayDisplay();
+  syncOverlay();
+  
+  if (config.watch.enabled) {
+    watcher.start();
+  }
+  await syncControlApi();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -298,4 +768,8 @@ app.on('window-all-closed', () => {
 
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  watcher.stop();
+  controlApi.stop();
+  solver.stopInput();
+  solver.stopMatcher();
 });
\ No newline at end of file
@@ -0,0 +1,14 @@
+// Worker side of the matcher pool in matcher.js
+const { parentPort } = require('worker_threads');
+const { scoreCell } = require('./matcher');
+
+let templates = [];
+
+parentPort.on('message', (message) => {
+  if (message.type === 'templates') {
+    templates = message.templates;
+  } else if (message.type === 'score') {
+    const scores = message.cells.map(cellBits => scoreCell(cellBits, templates, message.alignment));
+    parentPort.postMessage({ jobId: message.jobId, scores });
+  }
+});
@@ -0,0 +1,231 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Cells and templates are both resized to this square before matching
+const MATCH_SIZE = 80;
+const MASK_WORDS = Math.ceil((MATCH_SIZE * MATCH_SIZE) / 32);
+
+// Raw sharp output ({ data, info }) -> bitset of its glyph pixels, one bit per pixel.
+// `classify(r, g, b)` decides what is glyph, see colors.js.
+function toMask({ data, info }, classify) {
+  const bits = new Uint32Array(MASK_WORDS);
+  const width = Math.min(info.width, MATCH_SIZE);
+  const height = Math.min(info.height, MATCH_SIZE);
+  let count = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * info.width + x) * info.channels;
+      if (classify(data[idx], data[idx + 1], data[idx + 2])) {
+        const bit = y * MATCH_SIZE + x;
+        bits[bit >>> 5] |= 1 << (bit & 31);
+        count++;
+      }
+    }
+  }
+  return { bits, count };
+}
+
+function popcount(v) {
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Share of the template's glyph pixels that are also glyph in the cell, 0-100
+function scoreMask(cellBits, template) {
+  if (template.count === 0) return 0;
+  let matching = 0;
+  for (let i = 0; i < MASK_WORDS; i++) {
+    matching += popcount(cellBits[i] & template.bits[i]);
+  }
+  return (matching / template.count) * 100;
+}
+
+// Destination columns a horizontal shift by dx keeps; the rest would wrap in from the next row
+const columnMasks = new Map();
+function columnMask(dx) {
+  if (!columnMasks.has(dx)) {
+    const bits = new Uint32Array(MASK_WORDS);
+    for (let y = 0; y < MATCH_SIZE; y++) {
+      for (let x = Math.max(0, -dx); x < Math.min(MATCH_SIZE, MATCH_SIZE - dx); x++) {
+        const bit = y * MATCH_SIZE + x;
+        bits[bit >>> 5] |= 1 << (bit & 31);
+      }
+    }
+    columnMasks.set(dx, bits);
+  }
+  return columnMasks.get(dx);
+}
+
+// Mask moved by (dx, dy) a word at a time: rows are laid end to end, so the
+// shift is one flat shift of dy * MATCH_SIZE + dx bits, minus the wrapped columns
+function shiftMask(cellBits, dx, dy) {
+  const offset = dy * MATCH_SIZE + dx;
+  const words = offset >> 5;
+  const shift = offset & 31;
+  const keep = columnMask(dx);
+  const bits = new Uint32Array(MASK_WORDS);
+  for (let i = 0; i < MASK_WORDS; i++) {
+    const j = i + words;
+    const low = j >= 0 && j < MASK_WORDS ? cellBits[j] : 0;
+    const high = shift !== 0 && j + 1 >= 0 && j + 1 < MASK_WORDS ? cellBits[j + 1] : 0;
+    bits[i] = (shift === 0 ? low : (low >>> shift) | (high << (32 - shift))) & keep[i];
+  }
+  return bits;
+}
+
+// Mask rescaled about the centre and then moved, pixel by pixel
+function scaleMask(cellBits, dx, dy, scale) {
+  const centre = (MATCH_SIZE - 1) / 2;
+  const bits = new Uint32Array(MASK_WORDS);
+  for (let y = 0; y < MATCH_SIZE; y++) {
+    const sy = Math.round(centre + (y - centre) * scale) + dy;
+    if (sy < 0 || sy >= MATCH_SIZE) continue;
+    for (let x = 0; x < MATCH_SIZE; x++) {
+      const sx = Math.round(centre + (x - centre) * scale) + dx;
+      if (sx < 0 || sx >= MATCH_SIZE) continue;
+      const source = sy * MATCH_SIZE + sx;
+      if (!((cellBits[source >>> 5] >>> (source & 31)) & 1)) continue;
+      const bit = y * MATCH_SIZE + x;
+      bits[bit >>> 5] |= 1 << (bit & 31);
+    }
+  }
+  return bits;
+}
+
+// Copies of a cell mask moved by every (dx, dy) within maxShift pixels and,
+// when given, rescaled about the centre by each factor in scales. A shift of
+// (2, 0) means the cell's glyph sits 2px right of where the template has it.
+// Ordered by distance from (0, 0, 1), so ties keep the unmoved alignment.
+function alignedMasks(cellBits, { maxShift = 0, scales = [1] } = {}) {
+  const variants = [];
+  for (const scale of scales) {
+    for (let dy = -maxShift; dy <= maxShift; dy++) {
+      for (let dx = -maxShift; dx <= maxShift; dx++) {
+        variants.push({ dx, dy, scale, cost: Math.abs(dx) + Math.abs(dy) + Math.abs(scale - 1) * 100 });
+      }
+    }
+  }
+  variants.sort((a, b) => a.cost - b.cost);
+
+  for (const variant of variants) {
+    const { dx, dy, scale } = variant;
+    if (scale !== 1) variant.bits = scaleMask(cellBits, dx, dy, scale);
+    else if (dx !== 0 || dy !== 0) variant.bits = shiftMask(cellBits, dx, dy);
+    else variant.bits = cellBits;
+  }
+  return variants;
+}
+
+// Score one cell against every template, each at its best alignment:
+// { scores: { <template id>: score }, alignments: { <template id>: { dx, dy, scale } } }
+function scoreCell(cellBits, templates, alignment) {
+  const variants = alignedMasks(cellBits, alignment);
+  const scores = {};
+  const alignments = {};
+  for (const template of templates) {
+    let best = -1;
+    for (const variant of variants) {
+      const score = scoreMask(variant.bits, template);
+      if (score > best) {
+        best = score;
+        alignments[template.id] = { dx: variant.dx, dy: variant.dy, scale: variant.scale };
+      }
+    }
+    scores[template.id] = Math.max(best, 0);
+  }
+  return { scores, alignments };
+}
+
+// A fixed set of workers that score cells against the current templates.
+// Cells are split evenly across workers; a worker only holds the event loop
+// open while it has a job, so scripts still exit on their own. A worker that
+// errors or exits fails its own jobs and is replaced when it next gets one.
+function createMatcherPool(size) {
+  const workers = [];
+  const jobs = new Map();
+  let nextJob = 0;
+  let templates = [];
+  let closing = false;
+
+  function settle(jobId, error, scores) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+    jobs.delete(jobId);
+    if (--job.worker.busy === 0 && job.worker.thread) job.worker.thread.unref();
+    if (error) job.reject(error);
+    else job.resolve(scores);
+  }
+
+  function spawn(worker) {
+    const thread = new Worker(path.join(__dirname, 'matcher-worker.js'));
+    let crash = null;
+    worker.thread = thread;
+    thread.unref();
+    thread.on('message', ({ jobId, scores }) => settle(jobId, null, scores));
+    thread.on('error', (err) => { crash = err; });
+    thread.on('exit', (code) => {
+      if (closing) return;
+      const err = crash || new Error(`Matcher worker exited with code ${code}`);
+      console.error(`⚠️  Matcher worker stopped: ${err.message}`);
+      worker.thread = null;
+      for (const [jobId, job] of jobs) {
+        if (job.worker === worker) settle(jobId, err);
+      }
+    });
+    if (templates.length > 0) thread.postMessage({ type: 'templates', templates });
+  }
+
+  for (let i = 0; i < size; i++) {
+    const worker = { thread: null, busy: 0 };
+    spawn(worker);
+    workers.push(worker);
+  }
+
+  function run(worker, cells, alignment) {
+    return new Promise((resolve, reject) => {
+      if (!worker.thread) spawn(worker);
+      const jobId = nextJob++;
+      jobs.set(jobId, { worker, resolve, reject });
+      if (worker.busy++ === 0) worker.thread.ref();
+      worker.thread.postMessage({ type: 'score', jobId, cells, alignment });
+    });
+  }
+
+  return {
+    size,
+
+    // Send the template masks to every worker; later score() calls use them
+    setTemplates(next) {
+      templates = next.map(({ id, bits, count }) => ({ id, bits, count }));
+      for (const worker of workers) {
+        if (worker.thread) worker.thread.postMessage({ type: 'templates', templates });
+      }
+    },
+
+    // Cell bitsets -> one scoreCell() result per cell, in order
+    async score(cellMasks, alignment) {
+      const chunk = Math.ceil(cellMasks.length / workers.length);
+      const parts = [];
+      for (let i = 0; i < workers.length && i * chunk < cellMasks.length; i++) {
+        parts.push(run(workers[i], cellMasks.slice(i * chunk, (i + 1) * chunk), alignment));
+      }
+      return (await Promise.all(parts)).flat();
+    },
+
+    async close() {
+      closing = true;
+      await Promise.all(workers.filter(worker => worker.thread).map(worker => worker.thread.terminate()));
+    }
+  };
+}
+
+module.exports = {
+  MATCH_SIZE,
+  toMask,
+  scoreMask,
+  scoreCell,
+  alignedMasks,
+  createMatcherPool
+};
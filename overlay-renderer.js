@@ -0,0 +1,24 @@
+// Alignment overlay page: one box per cell, in window pixels, from overlay.js
+const overlayCells = document.getElementById('overlay-cells');
+
+function drawCells({ cells }) {
+  overlayCells.innerHTML = '';
+  for (const cell of cells) {
+    const box = document.createElement('div');
+    box.className = 'overlay-cell';
+    box.classList.toggle('uncertain', cell.uncertain);
+    box.style.left = `${cell.left}px`;
+    box.style.top = `${cell.top}px`;
+    box.style.width = `${cell.width}px`;
+    box.style.height = `${cell.height}px`;
+
+    if (cell.letter) {
+      const label = document.createElement('span');
+      label.textContent = `${cell.letter} ${Math.round(cell.confidence)}%`;
+      box.appendChild(label);
+    }
+    overlayCells.appendChild(box);
+  }
+}
+
+window.electronAPI.onOverlayUpdate(drawCells);
@@ -0,0 +1,150 @@
+const path = require('path');
+const { BrowserWindow } = require('electron');
+const { cellRect } = require('./geometry');
+
+// Alignment overlay: a transparent, click-through, always-on-top window over
+// the game display that draws where the solver thinks the cells are, labelled
+// with the last detected letters.
+//
+// Geometry is in display (physical) pixels, the window works in DIPs, so every
+// rectangle is divided by the display's scale factor. Content protection keeps
+// the window out of screen captures on Windows and macOS; where that does not
+// work the overlay's colours stay outside every glyph colour profile.
+function createOverlay() {
+  let win = null;
+  let displayId = null;
+  // Last drawing, replayed when the page (re)loads
+  let payload = null;
+
+  // The Electron display with this id, else the primary one.
+  // screen is only usable once the app is ready, hence the late require.
+  function pickDisplay(id) {
+    const { screen } = require('electron');
+    return screen.getAllDisplays().find(d => String(d.id) === id) || screen.getPrimaryDisplay();
+  }
+
+  function send() {
+    if (win && payload && !win.webContents.isLoading()) win.webContents.send('overlay-update', payload);
+  }
+
+  function createWindow(display) {
+    win = new BrowserWindow({
+      ...display.bounds,
+      transparent: true,
+      frame: false,
+      resizable: false,
+      movable: false,
+      focusable: false,
+      skipTaskbar: true,
+      hasShadow: false,
+      alwaysOnTop: true,
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'preload.js'),
+        nodeIntegration: false,
+        contextIsolation: true
+      }
+    });
+    // Above full-screen games, and never in the way of a click
+    win.setAlwaysOnTop(true, 'screen-saver');
+    win.setIgnoreMouseEvents(true);
+    win.setContentProtection(true);
+    win.loadFile('overlay.html');
+    win.webContents.on('did-finish-load', send);
+    win.once('ready-to-show', () => win && win.showInactive());
+    win.on('closed', () => {
+      win = null;
+    });
+  }
+
+  return {
+    // Show over the Electron display with this id ('' for the primary display)
+    show(id) {
+      const display = pickDisplay(id);
+      if (win && displayId !== display.id) {
+        win.destroy();
+        win = null;
+      }
+      displayId = display.id;
+      if (!win) createWindow(display);
+    },
+
+    hide() {
+      if (win) win.destroy();
+      win = null;
+    },
+
+    isVisible() {
+      return win !== null;
+    },
+
+    // Physical size of the display the overlay covers, for resolving geometry
+    displaySize() {
+      const display = pickDisplay(String(displayId));
+      return {
+        width: Math.round(display.size.width * display.scaleFactor),
+        height: Math.round(display.size.height * display.scaleFactor)
+      };
+    },
+
+    // Draw a geometry's cells; `cells` holds the last detection per cell in
+    // row-major order ({ letter, confidence, uncertain }) or is empty
+    update(geometry, cells = []) {
+      const { scaleFactor } = pickDisplay(String(displayId));
+      const boxes = [];
+      for (let row = 0; row < geometry.rows; row++) {
+        for (let col = 0; col < geometry.cols; col++) {
+          const rect = cellRect(geometry, row, col);
+          const detected = cells[row * geometry.cols + col] || null;
+          boxes.push({
+            left: rect.left / scaleFactor,
+            top: rect.top / scaleFactor,
+            width: rect.width / scaleFactor,
+            height: rect.height / scaleFactor,
+            letter: detected ? detected.letter : null,
+            confidence: detected ? detected.confidence : null,
+            uncertain: detected ? detected.uncertain : false
+          });
+        }
+      }
+      payload = { cells: boxes };
+      send();
+    }
+  };
+}
+
+// Physical pixel rectangle of an Electron display. Windows lays out mixed-DPI
+// monitors in its own way, so it gets the conversion from Electron itself.
+function physicalBounds(screen, display) {
+  if (process.platform === 'win32') return screen.dipToScreenRect(null, display.bounds);
+  const { x, y, width, height } = display.bounds;
+  const scale = display.scaleFactor;
+  return { x: Math.round(x * scale), y: Math.round(y * scale), width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// The Electron display a capture source's display entry ({ id, width, height,
+// left, top, primary }) stands for, or null. The screenshot source has its own
+// ids, so it is matched by physical size, the closest origin deciding between
+// monitors of the same size (mixed scale factors shift Electron's layout), and
+// by being the primary display when nothing else fits.
+function findDisplay(target) {
+  const { screen } = require('electron');
+  const displays = screen.getAllDisplays();
+  const byId = displays.find(d => String(d.id) === target.id);
+  if (byId) return byId;
+
+  const sized = displays
+    .map(d => ({ display: d, bounds: physicalBounds(screen, d) }))
+    .filter(({ bounds }) => bounds.width === target.width && bounds.height === target.height);
+  if (sized.length === 1) return sized[0].display;
+  if (sized.length > 1 && target.left !== null && target.top !== null) {
+    const distance = ({ bounds }) => Math.abs(bounds.x - target.left) + Math.abs(bounds.y - target.top);
+    return sized.reduce((best, entry) => (distance(entry) < distance(best) ? entry : best)).display;
+  }
+  return target.primary ? screen.getPrimaryDisplay() : null;
+}
+
+module.exports = {
+  createOverlay,
+  findDisplay
+};
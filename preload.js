@@ -5,17 +5,49 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Config
   getConfig: () => ipcRenderer.invoke('get-config'),
   updateConfig: (config) => ipcRenderer.invoke('update-config', config),
+  getSettingOptions: () => ipcRenderer.invoke('get-setting-options'),
   
   // Hotkey
   registerHotkey: (hotkey) => ipcRenderer.invoke('register-hotkey', hotkey),
+  registerOverlayHotkey: (hotkey) => ipcRenderer.invoke('register-overlay-hotkey', hotkey),
   
   // Solver controls
   startSolver: () => ipcRenderer.invoke('start-solver'),
   stopSolver: () => ipcRenderer.invoke('stop-solver'),
+  getRunState: () => ipcRenderer.invoke('get-run-state'),
+  
+  // Watch mode (armed/disarmed through updateConfig({ watch: { enabled } }))
+  getWatchStatus: () => ipcRenderer.invoke('get-watch-status'),
+  
+  // Screen capture
+  listDisplays: () => ipcRenderer.invoke('list-displays'),
+  
+  // Key input backend
+  getInputStatus: () => ipcRenderer.invoke('get-input-status'),
   
   // Templates
   getTemplatesStatus: () => ipcRenderer.invoke('get-templates-status'),
   openTemplatesFolder: () => ipcRenderer.invoke('open-templates-folder'),
+  captureTemplateCells: (delayMs) => ipcRenderer.invoke('capture-template-cells', delayMs),
+  getCaptureMasks: () => ipcRenderer.invoke('get-capture-masks'),
+  saveTemplate: (index, letter, mode) => ipcRenderer.invoke('save-template', { index, letter, mode }),
+  listTemplates: () => ipcRenderer.invoke('list-templates'),
+  deleteTemplate: (id) => ipcRenderer.invoke('delete-template', id),
+  reloadTemplates: () => ipcRenderer.invoke('reload-templates'),
+  
+  // Grid calibration
+  calibrateCapture: (delayMs) => ipcRenderer.invoke('calibrate-capture', delayMs),
+  calibrateTest: (marks) => ipcRenderer.invoke('calibrate-test', marks),
+  calibrateSave: (marks) => ipcRenderer.invoke('calibrate-save', marks),
+  
+  // Run history
+  getHistory: () => ipcRenderer.invoke('get-history'),
+  exportHistory: (format) => ipcRenderer.invoke('export-history', format),
+  clearHistory: () => ipcRenderer.invoke('clear-history'),
+  getTimeEstimate: () => ipcRenderer.invoke('get-time-estimate'),
+  
+  // Local control API (enabled, port and token through updateConfig({ api }))
+  getApiStatus: () => ipcRenderer.invoke('get-api-status'),
   
   // Debug folder
   getDebugFolder: () => ipcRenderer.invoke('get-debug-folder'),
@@ -28,12 +60,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   installUpdate: () => ipcRenderer.invoke('install-update'),
   
   // Event listeners
-  onSolverStatus: (callback) => {
-    ipcRenderer.on('solver-status', (event, data) => callback(data));
+  onRunState: (callback) => {
+    ipcRenderer.on('run-state', (event, data) => callback(data));
   },
   onGridDetected: (callback) => {
     ipcRenderer.on('grid-detected', (event, data) => callback(data));
   },
+  onRoundComplete: (callback) => {
+    ipcRenderer.on('round-complete', (event, data) => callback(data));
+  },
   onKeyPressed: (callback) => {
     ipcRenderer.on('key-pressed', (event, data) => callback(data));
   },
@@ -42,5 +77,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
   onTemplateStatus: (callback) => {
     ipcRenderer.on('template-status', (event, data) => callback(data));
+  },
+  onWatchStatus: (callback) => {
+    ipcRenderer.on('watch-status', (event, data) => callback(data));
+  },
+  onApiStatus: (callback) => {
+    ipcRenderer.on('api-status', (event, data) => callback(data));
+  },
+  // Settings changed from outside the window, e.g. through the control API
+  onConfigUpdated: (callback) => {
+    ipcRenderer.on('config-updated', (event, data) => callback(data));
+  },
+  // Alignment overlay shown or hidden, e.g. by its hotkey
+  onOverlayState: (callback) => {
+    ipcRenderer.on('overlay-state', (event, data) => callback(data));
+  },
+  // Overlay window only: the cells to draw
+  onOverlayUpdate: (callback) => {
+    ipcRenderer.on('overlay-update', (event, data) => callback(data));
   }
 });
\ No newline at end of file
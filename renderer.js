@@ -11,35 +11,76 @@ let config = {
 // DOM Elements
 const dashboardView = document.getElementById('dashboard-view');
 const minigameView = document.getElementById('minigame-view');
-const programCard = document.querySelector('.program-card');
+const templatesView = document.getElementById('templates-view');
+const historyView = document.getElementById('history-view');
+const programCard = document.querySelector('.program-card[data-program="minigame"]');
+const historyCard = document.getElementById('history-card');
 const backBtn = document.getElementById('back-btn');
 const settingsBtn = document.getElementById('settings-btn');
 const settingsPanel = document.getElementById('settings-panel');
 
 // Settings elements
 const resolutionSelect = document.getElementById('resolution-select');
+const profileOverrides = document.getElementById('profile-overrides');
+const profileScaleInput = document.getElementById('profile-scale-input');
+const profileShiftXInput = document.getElementById('profile-shift-x-input');
+const profileShiftYInput = document.getElementById('profile-shift-y-input');
 const hotkeyInput = document.getElementById('hotkey-input');
+const inputBackendSelect = document.getElementById('input-backend-select');
+const inputBackendStatus = document.getElementById('input-backend-status');
+const captureSourceSelect = document.getElementById('capture-source-select');
+const displaySelect = document.getElementById('display-select');
+const displayStatus = document.getElementById('display-status');
 const offsetXSlider = document.getElementById('offsetx-slider');
 const offsetXValue = document.getElementById('offsetx-value');
 const offsetYSlider = document.getElementById('offsety-slider');
 const offsetYValue = document.getElementById('offsety-value');
+const rowsSlider = document.getElementById('rows-slider');
+const rowsValue = document.getElementById('rows-value');
+const colsSlider = document.getElementById('cols-slider');
+const colsValue = document.getElementById('cols-value');
+const roundsSlider = document.getElementById('rounds-slider');
+const roundsValue = document.getElementById('rounds-value');
 const delaySlider = document.getElementById('delay-slider');
 const delayValue = document.getElementById('delay-value');
 const varianceSlider = document.getElementById('variance-slider');
 const varianceValue = document.getElementById('variance-value');
+const confidenceSlider = document.getElementById('confidence-slider');
+const confidenceValue = document.getElementById('confidence-value');
+const marginSlider = document.getElementById('margin-slider');
+const marginValue = document.getElementById('margin-value');
 const stealthCheckbox = document.getElementById('stealth-checkbox');
+const overlayCheckbox = document.getElementById('overlay-checkbox');
+const overlayHotkeyInput = document.getElementById('overlay-hotkey-input');
+const apiCheckbox = document.getElementById('api-checkbox');
+const apiPortInput = document.getElementById('api-port-input');
+const apiTokenInput = document.getElementById('api-token-input');
+const apiCopyBtn = document.getElementById('api-copy-btn');
+const apiTokenBtn = document.getElementById('api-token-btn');
+const apiStatus = document.getElementById('api-status');
+const locatorCheckbox = document.getElementById('locator-checkbox');
+const colorProfileSelect = document.getElementById('color-profile-select');
+const adaptiveColorCheckbox = document.getElementById('adaptive-color-checkbox');
 const estimatedTime = document.getElementById('estimated-time');
 const estimateStatus = document.getElementById('estimate-status');
+const estimateBreakdown = document.getElementById('estimate-breakdown');
+const budgetSlider = document.getElementById('budget-slider');
+const budgetValue = document.getElementById('budget-value');
+const budgetModeSelect = document.getElementById('budget-mode-select');
 const hotkeyDisplay = document.getElementById('hotkey-display');
 
 // Status elements
 const statusIndicator = document.getElementById('status-indicator');
+const watchIndicator = document.getElementById('watch-indicator');
+const watchStatus = document.getElementById('watch-status');
+const watchBtn = document.getElementById('watch-btn');
 const statusMessage = document.getElementById('status-message');
 const executionTime = document.getElementById('execution-time');
 
-// Grid elements
-const gridCells = document.querySelectorAll('.grid-cell');
+// Grid elements (cells are built by buildGrid to match the configured size)
+let gridCells = [];
 const gridContainer = document.getElementById('grid-container');
+const gridLocation = document.getElementById('grid-location');
 const stealthOverlay = document.getElementById('stealth-overlay');
 
 // Update elements
@@ -49,6 +90,7 @@ const versionBadge = document.getElementById('version-badge');
 
 // Debug elements
 const openDebugBtn = document.getElementById('open-debug-btn');
+const debugCheckbox = document.getElementById('debug-checkbox');
 const debugPath = document.getElementById('debug-path');
 
 // Template elements
@@ -56,26 +98,107 @@ const templateStatus = document.getElementById('template-status');
 const templateBadge = document.getElementById('template-badge');
 const openTemplatesBtn = document.getElementById('open-templates-btn');
 
+// Template manager elements
+const templatesBtn = document.getElementById('templates-btn');
+const templatesBackBtn = document.getElementById('templates-back-btn');
+const reloadTemplatesBtn = document.getElementById('reload-templates-btn');
+const captureCellsBtn = document.getElementById('capture-cells-btn');
+const captureStatus = document.getElementById('capture-status');
+const captureGrid = document.getElementById('capture-grid');
+const templateList = document.getElementById('template-list');
+const templateListStatus = document.getElementById('template-list-status');
+let templateLetters = [];
+
+// Grid calibration elements
+const calibrateView = document.getElementById('calibrate-view');
+const calibrateBtn = document.getElementById('calibrate-btn');
+const calibrateBackBtn = document.getElementById('calibrate-back-btn');
+const calibrateCaptureBtn = document.getElementById('calibrate-capture-btn');
+const zoomInBtn = document.getElementById('zoom-in-btn');
+const zoomOutBtn = document.getElementById('zoom-out-btn');
+const zoomFitBtn = document.getElementById('zoom-fit-btn');
+const calibrateStage = document.getElementById('calibrate-stage');
+const calibrateCanvas = document.getElementById('calibrate-canvas');
+const calibrateEmpty = document.getElementById('calibrate-empty');
+const calibrateModeSelect = document.getElementById('calibrate-mode-select');
+const calibrateHint = document.getElementById('calibrate-hint');
+const calibrateStatus = document.getElementById('calibrate-status');
+const calibrateCells = document.getElementById('calibrate-cells');
+const calibrateResetBtn = document.getElementById('calibrate-reset-btn');
+const calibrateSaveBtn = document.getElementById('calibrate-save-btn');
+// { image, width, height, rows, cols, geometry, zoom, marks, drag, result } once a screenshot is taken
+let calibration = null;
+
+// Run history elements
+const historyBackBtn = document.getElementById('history-back-btn');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const clearHistoryBtn = document.getElementById('clear-history-btn');
+const historySuccess = document.getElementById('history-success');
+const historyCounts = document.getElementById('history-counts');
+const historyMedian = document.getElementById('history-median');
+const historyP95 = document.getElementById('history-p95');
+const historyStatus = document.getElementById('history-status');
+const letterTrends = document.getElementById('letter-trends');
+const stageTable = document.getElementById('stage-table');
+const recentRuns = document.getElementById('recent-runs');
+
+// Show the saved settings in the panel (offsetX/offsetY are stored as offset.x/offset.y)
+async function showConfig() {
+  resolutionSelect.value = config.resolution;
+  showProfileOverrides();
+  hotkeyInput.value = config.hotkey;
+  hotkeyDisplay.textContent = config.hotkey;
+  delaySlider.value = config.keyDelay;
+  delayValue.textContent = config.keyDelay;
+  varianceSlider.value = config.delayVariance;
+  varianceValue.textContent = config.delayVariance;
+  offsetXSlider.value = config.offset.x;
+  offsetXValue.textContent = config.offset.x;
+  offsetYSlider.value = config.offset.y;
+  offsetYValue.textContent = config.offset.y;
+  rowsSlider.value = config.grid.rows;
+  rowsValue.textContent = config.grid.rows;
+  colsSlider.value = config.grid.cols;
+  colsValue.textContent = config.grid.cols;
+  buildGrid(config.grid.rows, config.grid.cols);
+  roundsSlider.value = config.rounds.max;
+  roundsValue.textContent = config.rounds.max;
+  budgetSlider.value = config.budget.totalMs;
+  budgetValue.textContent = config.budget.totalMs;
+  budgetModeSelect.value = config.budget.mode;
+  inputBackendSelect.value = config.input.backend;
+  showInputStatus(await window.electronAPI.getInputStatus());
+  captureSourceSelect.value = config.capture.source;
+  await loadDisplays();
+  confidenceSlider.value = config.detection.minConfidence;
+  confidenceValue.textContent = config.detection.minConfidence;
+  marginSlider.value = config.detection.minMargin;
+  marginValue.textContent = config.detection.minMargin;
+  locatorCheckbox.checked = config.locator.enabled;
+  colorProfileSelect.value = config.color.profile;
+  adaptiveColorCheckbox.checked = config.color.adaptive;
+  overlayCheckbox.checked = config.overlay.enabled;
+  overlayHotkeyInput.value = config.overlay.hotkey;
+  showApiSettings();
+  debugCheckbox.checked = config.debug.enabled;
+  
+  updateEstimatedTime();
+}
+
 // Initialize
 async function init() {
   // Load config
   const savedConfig = await window.electronAPI.getConfig();
   config = { ...config, ...savedConfig };
+  await loadSettingOptions();
+  await showConfig();
+  showApiStatus(await window.electronAPI.getApiStatus());
   
-  // Update UI with config
-  resolutionSelect.value = config.resolution || '1920x1080';
-  hotkeyInput.value = config.hotkey;
-  hotkeyDisplay.textContent = config.hotkey;
-  delaySlider.value = config.keyDelay || 15;
-  delayValue.textContent = config.keyDelay || 15;
-  varianceSlider.value = config.delayVariance || 5;
-  varianceValue.textContent = config.delayVariance || 5;
-  offsetXSlider.value = config.offsetX || -118;
-  offsetXValue.textContent = config.offsetX || -118;
-  offsetYSlider.value = config.offsetY || -45;
-  offsetYValue.textContent = config.offsetY || -45;
-  
-  updateEstimatedTime();
+  handleWatchStatus(await window.electronAPI.getWatchStatus());
+  // Pick up a run that was already going when the window (re)loaded
+  const runState = await window.electronAPI.getRunState();
+  if (runState.state !== 'idle') handleRunState(runState);
   
   // Load app version
   const version = await window.electronAPI.getAppVersion();
@@ -89,10 +212,22 @@ async function init() {
   setupEventListeners();
   
   // Listen to solver events
-  window.electronAPI.onSolverStatus(handleSolverStatus);
+  window.electronAPI.onRunState(handleRunState);
   window.electronAPI.onGridDetected(handleGridDetected);
+  window.electronAPI.onRoundComplete(handleRoundComplete);
   window.electronAPI.onKeyPressed(handleKeyPressed);
   window.electronAPI.onTemplateStatus(handleTemplateStatus);
+  window.electronAPI.onWatchStatus(handleWatchStatus);
+  window.electronAPI.onOverlayState(({ enabled }) => {
+    config.overlay.enabled = enabled;
+    overlayCheckbox.checked = enabled;
+  });
+  window.electronAPI.onApiStatus(showApiStatus);
+  // Settings changed through the control API
+  window.electronAPI.onConfigUpdated(async (savedConfig) => {
+    config = { ...config, ...savedConfig };
+    await showConfig();
+  });
   
   // Listen to update events
   window.electronAPI.onUpdateStatus(handleUpdateStatus);
@@ -103,6 +238,63 @@ function setupEventListeners() {
   programCard.addEventListener('click', () => switchView('minigame'));
   backBtn.addEventListener('click', () => switchView('dashboard'));
   
+  templatesBtn.addEventListener('click', () => switchView('templates'));
+  templatesBackBtn.addEventListener('click', () => switchView('minigame'));
+  
+  calibrateBtn.addEventListener('click', () => switchView('calibrate'));
+  calibrateBackBtn.addEventListener('click', () => switchView('minigame'));
+  
+  historyCard.addEventListener('click', () => switchView('history'));
+  historyBackBtn.addEventListener('click', () => switchView('dashboard'));
+  
+  // Run history
+  exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+  exportJsonBtn.addEventListener('click', () => exportHistory('json'));
+  clearHistoryBtn.addEventListener('click', async () => {
+    if (!confirm('Delete the whole run history?')) return;
+    const result = await window.electronAPI.clearHistory();
+    if (!result.success) alert(result.error);
+    await refreshHistory();
+  });
+  
+  // Template manager
+  captureCellsBtn.addEventListener('click', captureTemplateCells);
+  reloadTemplatesBtn.addEventListener('click', async () => {
+    await window.electronAPI.reloadTemplates();
+    await refreshTemplateList();
+  });
+  
+  // Grid calibration
+  calibrateCaptureBtn.addEventListener('click', captureCalibration);
+  zoomInBtn.addEventListener('click', () => setZoom(calibration && calibration.zoom * 1.25));
+  zoomOutBtn.addEventListener('click', () => setZoom(calibration && calibration.zoom / 1.25));
+  zoomFitBtn.addEventListener('click', () => setZoom(fitZoom()));
+  calibrateStage.addEventListener('wheel', (event) => {
+    if (!calibration || !event.ctrlKey) return;
+    event.preventDefault();
+    setZoom(calibration.zoom * (event.deltaY < 0 ? 1.25 : 0.8));
+  }, { passive: false });
+  calibrateModeSelect.addEventListener('change', () => {
+    calibrateHint.textContent = calibrateModeSelect.value === 'rect'
+      ? 'Drag from the top-left corner of the first cell to the bottom-right corner of the last. Scroll with Ctrl to zoom.'
+      : 'Click the centre of the top-left cell, then the bottom-right cell. Scroll with Ctrl to zoom.';
+    resetCalibrationMarks();
+  });
+  calibrateCanvas.addEventListener('click', handleCalibrationClick);
+  calibrateCanvas.addEventListener('mousedown', handleCalibrationDragStart);
+  calibrateCanvas.addEventListener('mousemove', handleCalibrationDragMove);
+  window.addEventListener('mouseup', handleCalibrationDragEnd);
+  calibrateResetBtn.addEventListener('click', resetCalibrationMarks);
+  calibrateSaveBtn.addEventListener('click', saveCalibration);
+  
+  // Watch mode arm/disarm
+  watchBtn.addEventListener('click', async () => {
+    const enabled = !config.watch.enabled;
+    const result = await window.electronAPI.updateConfig({ watch: { enabled } });
+    if (result.success) config.watch.enabled = enabled;
+    watchBtn.querySelector('span').textContent = config.watch.enabled ? 'Disarm Watch' : 'Arm Watch';
+  });
+  
   // Settings
   settingsBtn.addEventListener('click', () => {
     settingsPanel.classList.toggle('active');
@@ -112,14 +304,51 @@ function setupEventListeners() {
   resolutionSelect.addEventListener('change', async () => {
     const resolution = resolutionSelect.value;
     config.resolution = resolution;
+    showProfileOverrides();
     await window.electronAPI.updateConfig({ resolution });
   });
   
+  // Overrides of the selected resolution profile
+  profileScaleInput.addEventListener('change', async () => {
+    await updateProfileOverrides({ uiScale: parseInt(profileScaleInput.value, 10) });
+  });
+  
+  profileShiftXInput.addEventListener('change', async () => {
+    await updateProfileOverrides({ shift: { x: parseInt(profileShiftXInput.value, 10) } });
+  });
+  
+  profileShiftYInput.addEventListener('change', async () => {
+    await updateProfileOverrides({ shift: { y: parseInt(profileShiftYInput.value, 10) } });
+  });
+  
+  // Input backend select
+  inputBackendSelect.addEventListener('change', async () => {
+    const backend = inputBackendSelect.value;
+    config.input.backend = backend;
+    inputBackendStatus.textContent = 'Checking...';
+    await window.electronAPI.updateConfig({ input: { backend } });
+    showInputStatus(await window.electronAPI.getInputStatus());
+  });
+  
+  // Capture source and display selects
+  captureSourceSelect.addEventListener('change', async () => {
+    const source = captureSourceSelect.value;
+    config.capture.source = source;
+    await window.electronAPI.updateConfig({ capture: { source } });
+    await loadDisplays();
+  });
+  
+  displaySelect.addEventListener('change', async () => {
+    const display = displaySelect.value;
+    config.capture.display = display;
+    await window.electronAPI.updateConfig({ capture: { display } });
+  });
+  
   // Offset X slider
   offsetXSlider.addEventListener('input', async () => {
     const value = parseInt(offsetXSlider.value);
     offsetXValue.textContent = value;
-    config.offsetX = value;
+    config.offset.x = value;
     await window.electronAPI.updateConfig({ offsetX: value });
   });
   
@@ -127,10 +356,51 @@ function setupEventListeners() {
   offsetYSlider.addEventListener('input', async () => {
     const value = parseInt(offsetYSlider.value);
     offsetYValue.textContent = value;
-    config.offsetY = value;
+    config.offset.y = value;
     await window.electronAPI.updateConfig({ offsetY: value });
   });
   
+  // Grid size sliders
+  rowsSlider.addEventListener('input', async () => {
+    const value = parseInt(rowsSlider.value);
+    rowsValue.textContent = value;
+    config.grid.rows = value;
+    buildGrid(config.grid.rows, config.grid.cols);
+    await window.electronAPI.updateConfig({ grid: { rows: value } });
+    updateEstimatedTime();
+  });
+  
+  colsSlider.addEventListener('input', async () => {
+    const value = parseInt(colsSlider.value);
+    colsValue.textContent = value;
+    config.grid.cols = value;
+    buildGrid(config.grid.rows, config.grid.cols);
+    await window.electronAPI.updateConfig({ grid: { cols: value } });
+    updateEstimatedTime();
+  });
+  
+  roundsSlider.addEventListener('input', async () => {
+    const value = parseInt(roundsSlider.value);
+    roundsValue.textContent = value;
+    config.rounds.max = value;
+    await window.electronAPI.updateConfig({ rounds: { max: value } });
+  });
+  
+  // Time budget
+  budgetSlider.addEventListener('input', async () => {
+    const value = parseInt(budgetSlider.value);
+    budgetValue.textContent = value;
+    config.budget.totalMs = value;
+    await window.electronAPI.updateConfig({ budget: { totalMs: value } });
+    updateEstimatedTime();
+  });
+  
+  budgetModeSelect.addEventListener('change', async () => {
+    const mode = budgetModeSelect.value;
+    config.budget.mode = mode;
+    await window.electronAPI.updateConfig({ budget: { mode } });
+  });
+  
   // Hotkey input
   hotkeyInput.addEventListener('change', async () => {
     const newHotkey = hotkeyInput.value.toUpperCase();
@@ -164,12 +434,93 @@ function setupEventListeners() {
     updateEstimatedTime();
   });
   
+  // Minimum confidence slider
+  confidenceSlider.addEventListener('input', async () => {
+    const value = parseInt(confidenceSlider.value);
+    confidenceValue.textContent = value;
+    config.detection.minConfidence = value;
+    await window.electronAPI.updateConfig({ detection: { minConfidence: value } });
+  });
+  
+  // Minimum margin slider
+  marginSlider.addEventListener('input', async () => {
+    const value = parseInt(marginSlider.value);
+    marginValue.textContent = value;
+    config.detection.minMargin = value;
+    await window.electronAPI.updateConfig({ detection: { minMargin: value } });
+  });
+  
   // Stealth mode
   stealthCheckbox.addEventListener('change', () => {
     isStealthMode = stealthCheckbox.checked;
     updateStealthMode();
   });
   
+  // Alignment overlay; main.js keeps it in step with every config change
+  overlayCheckbox.addEventListener('change', async () => {
+    const enabled = overlayCheckbox.checked;
+    config.overlay.enabled = enabled;
+    await window.electronAPI.updateConfig({ overlay: { enabled } });
+  });
+  
+  overlayHotkeyInput.addEventListener('change', async () => {
+    const newHotkey = overlayHotkeyInput.value.toUpperCase();
+    const success = await window.electronAPI.registerOverlayHotkey(newHotkey);
+    
+    if (success) {
+      config.overlay.hotkey = newHotkey;
+      overlayHotkeyInput.value = newHotkey;
+      await window.electronAPI.updateConfig({ overlay: { hotkey: newHotkey } });
+    } else {
+      alert('Failed to register overlay hotkey. Try a different key.');
+      overlayHotkeyInput.value = config.overlay.hotkey;
+    }
+  });
+  
+  // Control API; main.js starts, stops or moves the server on every change
+  apiCheckbox.addEventListener('change', async () => {
+    await updateApiConfig({ enabled: apiCheckbox.checked });
+  });
+  
+  apiPortInput.addEventListener('change', async () => {
+    await updateApiConfig({ port: parseInt(apiPortInput.value, 10) });
+  });
+  
+  apiCopyBtn.addEventListener('click', async () => {
+    if (apiTokenInput.value) await navigator.clipboard.writeText(apiTokenInput.value);
+  });
+  
+  // An empty token is replaced with a new one whenever the API is on
+  apiTokenBtn.addEventListener('click', async () => {
+    if (!confirm('Generate a new token? Clients using the current one are disconnected.')) return;
+    await updateApiConfig({ token: '' });
+  });
+  
+  // Letter colour profile and adaptive mode; captured cells re-render their masks
+  colorProfileSelect.addEventListener('change', async () => {
+    config.color.profile = colorProfileSelect.value;
+    await window.electronAPI.updateConfig({ color: { profile: colorProfileSelect.value } });
+    await refreshCaptureMasks();
+  });
+  
+  adaptiveColorCheckbox.addEventListener('change', async () => {
+    config.color.adaptive = adaptiveColorCheckbox.checked;
+    await window.electronAPI.updateConfig({ color: { adaptive: adaptiveColorCheckbox.checked } });
+    await refreshCaptureMasks();
+  });
+  
+  // Grid locator
+  locatorCheckbox.addEventListener('change', async () => {
+    config.locator.enabled = locatorCheckbox.checked;
+    await window.electronAPI.updateConfig({ locator: { enabled: locatorCheckbox.checked } });
+  });
+  
+  // Debug capture
+  debugCheckbox.addEventListener('change', async () => {
+    config.debug.enabled = debugCheckbox.checked;
+    await window.electronAPI.updateConfig({ debug: { enabled: debugCheckbox.checked } });
+  });
+  
   // Debug folder button
   openDebugBtn.addEventListener('click', async () => {
     await window.electronAPI.openDebugFolder();
@@ -186,28 +537,285 @@ function setupEventListeners() {
 function switchView(view) {
   currentView = view;
   
-  if (view === 'dashboard') {
-    dashboardView.classList.add('active');
-    minigameView.classList.remove('active');
-  } else {
-    dashboardView.classList.remove('active');
-    minigameView.classList.add('active');
+  dashboardView.classList.toggle('active', view === 'dashboard');
+  minigameView.classList.toggle('active', view === 'minigame');
+  templatesView.classList.toggle('active', view === 'templates');
+  historyView.classList.toggle('active', view === 'history');
+  calibrateView.classList.toggle('active', view === 'calibrate');
+  
+  if (view === 'templates') {
+    refreshTemplateList();
+  } else if (view === 'history') {
+    refreshHistory();
+  }
+}
+
+// ============ TEMPLATE MANAGER ============
+async function refreshTemplateList() {
+  const result = await window.electronAPI.listTemplates();
+  templateList.innerHTML = '';
+  if (!result.success) {
+    templateListStatus.textContent = `Could not read the templates: ${result.error}`;
+    return;
+  }
+  templateListStatus.textContent = '';
+  const { letters, templates } = result;
+  templateLetters = letters;
+  
+  for (const letter of letters) {
+    const variants = templates.filter(t => t.letter === letter);
+    const item = document.createElement('div');
+    item.className = 'template-item';
+    
+    const label = document.createElement('strong');
+    label.textContent = variants.length > 1 ? `${letter} ×${variants.length}` : letter;
+    item.appendChild(label);
+    
+    for (const variant of variants) {
+      const img = document.createElement('img');
+      img.src = variant.image;
+      img.alt = `Template ${variant.id}`;
+      img.title = variant.id;
+      item.appendChild(img);
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'icon-button';
+      deleteBtn.textContent = `Delete ${variant.id}`;
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete the ${variant.id} template?`)) return;
+        const result = await window.electronAPI.deleteTemplate(variant.id);
+        if (!result.success) alert(result.error);
+        await refreshTemplateList();
+      });
+      item.appendChild(deleteBtn);
+    }
+    
+    if (variants.length === 0) {
+      const missing = document.createElement('small');
+      missing.textContent = 'Missing';
+      missing.style.color = '#facc15';
+      item.appendChild(missing);
+    }
+    
+    templateList.appendChild(item);
   }
 }
 
-function updateEstimatedTime() {
-  const keyDelay = config.keyDelay || 15;
-  const estimatedMs = (keyDelay * 9) + 1000; // 1s for detection
-  const estimatedSeconds = (estimatedMs / 1000).toFixed(2);
+async function captureTemplateCells() {
+  captureCellsBtn.disabled = true;
+  captureStatus.textContent = 'Capturing in 3 seconds - switch to the game now...';
+  captureGrid.innerHTML = '';
+  
+  const result = await window.electronAPI.captureTemplateCells(3000);
+  captureCellsBtn.disabled = false;
+  
+  if (!result.success) {
+    captureStatus.textContent = `Capture failed: ${result.error}`;
+    return;
+  }
+  
+  const { topLeft, cellSize, source } = result.geometry;
+  captureStatus.textContent = `Captured at ${topLeft.x},${topLeft.y} · ${cellSize}px cells (${source})`;
+  
+  result.cells.forEach((cell, index) => {
+    const item = document.createElement('div');
+    item.className = 'capture-cell';
+    
+    // Raw cell next to what the matcher sees
+    const preview = document.createElement('div');
+    preview.className = 'capture-preview';
+    const img = document.createElement('img');
+    img.src = cell.image;
+    img.alt = `Cell ${cell.row},${cell.col}`;
+    img.title = 'Captured';
+    const mask = document.createElement('img');
+    mask.src = cell.mask;
+    mask.alt = `Cell ${cell.row},${cell.col} binarized`;
+    mask.title = 'Binarized with the current colour settings';
+    mask.className = 'capture-mask';
+    preview.append(img, mask);
+    item.appendChild(preview);
+    
+    const select = document.createElement('select');
+    select.innerHTML = '<option value="">Letter...</option>' +
+      templateLetters.map(letter => `<option value="${letter}">${letter}</option>`).join('');
+    item.appendChild(select);
+    
+    // Save replaces the letter's main template, + Variant keeps it and adds another
+    const addButton = (text, mode) => {
+      const button = document.createElement('button');
+      button.className = 'icon-button';
+      button.textContent = text;
+      button.addEventListener('click', async () => {
+        if (!select.value) return;
+        const saved = await window.electronAPI.saveTemplate(index, select.value, mode);
+        if (!saved.success) {
+          alert(saved.error);
+          return;
+        }
+        button.textContent = `Saved ${select.value}`;
+        await refreshTemplateList();
+      });
+      item.appendChild(button);
+    };
+    addButton('Save', 'replace');
+    addButton('+ Variant', 'variant');
+    
+    captureGrid.appendChild(item);
+  });
+}
+
+// Re-binarize the captured cells after a colour setting changed
+async function refreshCaptureMasks() {
+  const masks = captureGrid.querySelectorAll('.capture-mask');
+  if (masks.length === 0) return;
+  
+  const result = await window.electronAPI.getCaptureMasks();
+  if (!result.success) return;
+  masks.forEach((img, index) => {
+    if (result.masks[index]) img.src = result.masks[index];
+  });
+}
+
+// Per-round estimate from the stage times measured on recent runs, with the
+// current key delay, variance and grid size applied to the input stage
+async function updateEstimatedTime() {
+  const result = await window.electronAPI.getTimeEstimate();
+  if (!result.success) {
+    estimateStatus.textContent = `⚠ No estimate: ${result.error}`;
+    estimateStatus.style.color = '#f59e0b';
+    return;
+  }
   
-  estimatedTime.textContent = `${estimatedSeconds}s`;
+  const { estimate, budget } = result;
+  const budgetSeconds = (budget.totalMs / 1000).toFixed(1);
+  estimatedTime.textContent = `${formatMs(estimate.meanMs)} ± ${formatMs(estimate.stddevMs)}`;
+  estimateBreakdown.textContent = Object.entries(estimate.stages)
+    .map(([stage, ms]) => `${stage} ${formatMs(ms)}`)
+    .join(' · ');
   
-  if (estimatedSeconds <= 3.0) {
-    estimateStatus.textContent = '✓ Within 3 second requirement';
+  // Roughly the slowest run in twenty
+  const slowMs = estimate.meanMs + 1.645 * estimate.stddevMs;
+  if (estimate.rounds === 0) {
+    estimatedTime.textContent = `≥ ${formatMs(estimate.meanMs)}`;
+    estimateStatus.textContent = 'Key delays only - run the solver once to measure capture and detection';
+    estimateStatus.style.color = '#94a3b8';
+  } else if (estimate.meanMs > budget.totalMs) {
+    estimateStatus.textContent = `⚠ Exceeds the ${budgetSeconds}s budget - reduce delays`;
+    estimateStatus.style.color = '#f59e0b';
+  } else if (slowMs > budget.totalMs) {
+    estimateStatus.textContent = `⚠ Slow runs may exceed the ${budgetSeconds}s budget (${estimate.rounds} rounds measured)`;
+    estimateStatus.style.color = '#f59e0b';
+  } else {
+    estimateStatus.textContent = `✓ Within the ${budgetSeconds}s budget (${estimate.rounds} rounds measured)`;
     estimateStatus.style.color = '#06b6d4';
+  }
+}
+
+// Fill the display select from the capture source; a saved display that is
+// not connected stays selectable so it is not silently replaced
+async function loadDisplays() {
+  const result = await window.electronAPI.listDisplays();
+  displaySelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+  
+  const displays = result.success ? result.displays : [];
+  for (const display of displays) {
+    const option = document.createElement('option');
+    option.value = display.id;
+    option.textContent = `${display.name} (${display.width}x${display.height})${display.primary ? ' - primary' : ''}`;
+    displaySelect.appendChild(option);
+  }
+  
+  const selected = config.capture.display;
+  if (selected && !displays.some(display => display.id === selected)) {
+    const option = document.createElement('option');
+    option.value = selected;
+    option.textContent = `${selected} (not connected)`;
+    displaySelect.appendChild(option);
+  }
+  displaySelect.value = selected;
+  
+  displayStatus.textContent = result.success
+    ? 'Grid position is relative to the chosen display'
+    : `⚠ Could not list displays: ${result.error}`;
+}
+
+function showInputStatus(status) {
+  if (!status) {
+    inputBackendStatus.textContent = 'Not checked yet';
+    inputBackendStatus.style.color = '';
+  } else if (status.available) {
+    inputBackendStatus.textContent = `✓ Using ${status.backend}`;
+    inputBackendStatus.style.color = '#4ade80';
   } else {
-    estimateStatus.textContent = '⚠ Exceeds 3 second limit - reduce delays';
-    estimateStatus.style.color = '#f59e0b';
+    inputBackendStatus.textContent = `⚠ ${status.backend} unavailable: ${status.reason}`;
+    inputBackendStatus.style.color = '#facc15';
+  }
+}
+
+// Fill the resolution and colour selects from the profiles main.js knows
+async function loadSettingOptions() {
+  const { resolutions, colorProfiles } = await window.electronAPI.getSettingOptions();
+  const addOptions = (select, options) => {
+    for (const { value, label } of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+  };
+  addOptions(resolutionSelect, resolutions);
+  addOptions(colorProfileSelect, colorProfiles);
+}
+
+// Overrides only exist for named resolutions, not for Auto
+function showProfileOverrides() {
+  const overrides = config.profiles[resolutionSelect.value];
+  profileOverrides.style.display = overrides ? '' : 'none';
+  if (!overrides) return;
+  profileScaleInput.value = overrides.uiScale;
+  profileShiftXInput.value = overrides.shift.x;
+  profileShiftYInput.value = overrides.shift.y;
+}
+
+async function updateProfileOverrides(patch) {
+  const name = resolutionSelect.value;
+  const result = await window.electronAPI.updateConfig({ profiles: { [name]: patch } });
+  if (result.success) {
+    config.profiles = result.config.profiles;
+  } else {
+    alert(`${name}: ${result.error}`);
+  }
+  showProfileOverrides();
+}
+
+function showApiSettings() {
+  apiCheckbox.checked = config.api.enabled;
+  apiPortInput.value = config.api.port;
+  apiTokenInput.value = config.api.token;
+}
+
+// The saved config comes back with the token main.js generated, if it made one
+async function updateApiConfig(patch) {
+  const result = await window.electronAPI.updateConfig({ api: patch });
+  if (result.success) {
+    config.api = result.config.api;
+  } else {
+    alert(`Control API: ${result.error}`);
+  }
+  showApiSettings();
+}
+
+function showApiStatus(status) {
+  if (status.running) {
+    apiStatus.textContent = `✓ Listening on http://${status.host}:${status.port}`;
+    apiStatus.style.color = '#4ade80';
+  } else if (status.error) {
+    apiStatus.textContent = `⚠ ${status.error}`;
+    apiStatus.style.color = '#facc15';
+  } else {
+    apiStatus.textContent = 'Off';
+    apiStatus.style.color = '';
   }
 }
 
@@ -219,17 +827,26 @@ function updateStealthMode() {
   }
 }
 
-function handleSolverStatus(data) {
-  const { status, message, executionTime: execTime } = data;
+// Run states from run.js; the terminal ones fall back to Ready after a pause
+const WORKING_STATES = ['capturing', 'detecting', 'typing', 'verifying'];
+const TERMINAL_STATES = ['done', 'cancelled', 'failed'];
+let resetTimer = null;
+
+function handleRunState(data) {
+  const { state, message, executionTime: execTime } = data;
+  
+  // A new run must not be wiped by the previous run's reset
+  clearTimeout(resetTimer);
+  resetTimer = null;
   
   statusMessage.textContent = message;
   
   // Update status indicator
   statusIndicator.classList.remove('active', 'error');
   
-  if (status === 'detecting' || status === 'executing') {
+  if (WORKING_STATES.includes(state)) {
     statusIndicator.classList.add('active');
-  } else if (status === 'error') {
+  } else if (state === 'failed') {
     statusIndicator.classList.add('error');
   }
   
@@ -239,9 +856,16 @@ function handleSolverStatus(data) {
     executionTime.style.display = 'inline';
   }
   
-  // Reset grid after completion
-  if (status === 'complete' || status === 'error' || status === 'stopped') {
+  // Reset grid after the run ends
+  if (TERMINAL_STATES.includes(state)) {
+    // main.js records the run right after this state; give it a moment to land
+    // before re-reading the history and the timing profile behind the estimate
     setTimeout(() => {
+      updateEstimatedTime();
+      if (currentView === 'history') refreshHistory();
+    }, 500);
+    resetTimer = setTimeout(() => {
+      resetTimer = null;
       resetGrid();
       statusMessage.textContent = 'Ready - Press hotkey to start';
       statusIndicator.classList.remove('active', 'error');
@@ -250,8 +874,40 @@ function handleSolverStatus(data) {
   }
 }
 
+// Rebuild the preview cells for a rows x cols grid
+function buildGrid(rows, cols) {
+  document.documentElement.style.setProperty('--grid-cols', cols);
+  if (gridCells.length === rows * cols) return;
+  
+  gridContainer.querySelectorAll('.grid-cell').forEach(cell => cell.remove());
+  gridCells = [];
+  for (let i = 0; i < rows * cols; i++) {
+    const cell = document.createElement('div');
+    cell.className = 'grid-cell';
+    cell.textContent = '?';
+    gridContainer.appendChild(cell);
+    gridCells.push(cell);
+  }
+}
+
+// A round's keys are in; its grid arrives separately through grid-detected
+function handleRoundComplete(data) {
+  const { round, maxRounds, timings } = data;
+  if (maxRounds < 2) return;
+  executionTime.textContent = `Round ${round}: ${(timings.total / 1000).toFixed(2)}s`;
+  executionTime.style.display = 'inline';
+}
+
 function handleGridDetected(data) {
-  const { letters } = data;
+  const { rows, cols, letters, uncertain = [], geometry } = data;
+  buildGrid(rows, cols);
+  
+  if (geometry) {
+    const { topLeft, cellSize, frame, source } = geometry;
+    const how = source === 'located' ? 'auto-located' : 'fixed position';
+    gridLocation.textContent = `Grid at ${topLeft.x},${topLeft.y} · ${cellSize}px cells · ${frame.width}x${frame.height} (${how})`;
+    gridLocation.classList.toggle('located', source === 'located');
+  }
   
   gridCells.forEach((cell, index) => {
     cell.textContent = letters[index];
@@ -262,29 +918,50 @@ function handleGridDetected(data) {
       cell.classList.remove('detected');
     }
     
-    cell.classList.remove('active');
+    cell.classList.toggle('uncertain', uncertain.includes(index));
+    cell.classList.remove('active', 'pressed', 'skipped');
   });
 }
 
+function handleWatchStatus(data) {
+  const { state, message } = data;
+  watchIndicator.className = `watch-indicator ${state}`;
+  watchStatus.textContent = message;
+  watchBtn.querySelector('span').textContent = state === 'off' ? 'Arm Watch' : 'Disarm Watch';
+}
+
+// Progress through the grid: the cell just typed is active, earlier ones are
+// marked pressed, and '?' cells the solver passed over are marked skipped.
+// Each round's grid-detected clears the progress before its first key.
 function handleKeyPressed(data) {
-  const { index } = data;
+  const { index, skipped } = data;
   
-  // Remove active class from all cells
-  gridCells.forEach(cell => cell.classList.remove('active'));
+  gridCells.forEach(cell => {
+    if (cell.classList.contains('active')) {
+      cell.classList.remove('active');
+      cell.classList.add('pressed');
+    }
+  });
   
-  // Add active class to current cell
   if (index >= 0 && index < gridCells.length) {
-    gridCells[index].classList.add('active');
+    gridCells[index].classList.add(skipped ? 'skipped' : 'active');
   }
 }
 
 function handleTemplateStatus(data) {
-  const { loaded, count } = data;
+  const { loaded, count, expected, variants, perLetter } = data;
   templatesLoaded = loaded;
   
   if (templateBadge) {
+    // Per-letter variant counts in the tooltip, e.g. "Q×2 W×1 E×0"
+    templateBadge.title = Object.entries(perLetter || {})
+      .map(([letter, n]) => `${letter}×${n}`)
+      .join(' ');
+    
     if (loaded) {
-      templateBadge.textContent = `✓ ${count}/7 Templates`;
+      templateBadge.textContent = variants > count
+        ? `✓ ${count}/${expected} Letters · ${variants} Templates`
+        : `✓ ${count}/${expected} Templates`;
       templateBadge.style.background = 'rgba(34, 197, 94, 0.2)';
       templateBadge.style.borderColor = 'rgba(34, 197, 94, 0.3)';
       templateBadge.style.color = '#4ade80';
@@ -304,10 +981,311 @@ function handleTemplateStatus(data) {
 function resetGrid() {
   gridCells.forEach(cell => {
     cell.textContent = '?';
-    cell.classList.remove('detected', 'active');
+    cell.classList.remove('detected', 'active', 'pressed', 'skipped', 'uncertain');
   });
 }
 
+// ============ GRID CALIBRATION ============
+async function captureCalibration() {
+  calibrateCaptureBtn.disabled = true;
+  calibrateStatus.textContent = 'Capturing in 3 seconds - switch to the game now...';
+  
+  const result = await window.electronAPI.calibrateCapture(3000);
+  calibrateCaptureBtn.disabled = false;
+  if (!result.success) {
+    calibrateStatus.textContent = `Capture failed: ${result.error}`;
+    return;
+  }
+  
+  const image = new Image();
+  image.src = result.image;
+  await image.decode();
+  const { width, height, rows, cols, geometry } = result;
+  calibration = { image, width, height, rows, cols, geometry, zoom: 1, marks: null, drag: null, result: null };
+  calibrateEmpty.style.display = 'none';
+  calibrateStatus.textContent = `Captured ${width}x${height} · ${rows}x${cols} grid · the dashed grid is the current setting`;
+  resetCalibrationMarks();
+  setZoom(fitZoom());
+}
+
+// Zoom that fits the whole screenshot across the stage
+function fitZoom() {
+  if (!calibration) return 1;
+  return Math.min(1, (calibrateStage.clientWidth - 16) / calibration.width);
+}
+
+function setZoom(zoom) {
+  if (!calibration || !zoom) return;
+  calibration.zoom = Math.min(4, Math.max(0.1, zoom));
+  calibrateCanvas.width = Math.round(calibration.width * calibration.zoom);
+  calibrateCanvas.height = Math.round(calibration.height * calibration.zoom);
+  drawCalibration();
+}
+
+// Screenshot pixel under the mouse
+function canvasPoint(event) {
+  const bounds = calibrateCanvas.getBoundingClientRect();
+  return {
+    x: (event.clientX - bounds.left) / calibration.zoom,
+    y: (event.clientY - bounds.top) / calibration.zoom
+  };
+}
+
+function drawCalibration() {
+  const { image, zoom, marks, drag, result, geometry } = calibration;
+  const ctx = calibrateCanvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, calibrateCanvas.width, calibrateCanvas.height);
+  const box = ({ left, top, width, height }) => ctx.strokeRect(left * zoom, top * zoom, width * zoom, height * zoom);
+  ctx.lineWidth = 2;
+  
+  // Tested cells, or the grid the current settings give
+  if (result) {
+    ctx.setLineDash([]);
+    ctx.font = 'bold 14px sans-serif';
+    for (const cell of result.cells) {
+      ctx.strokeStyle = cell.uncertain ? '#facc15' : '#22d3ee';
+      ctx.fillStyle = ctx.strokeStyle;
+      box(cell.rect);
+      ctx.fillText(`${cell.letter} ${Math.round(cell.confidence)}%`, cell.rect.left * zoom + 4, cell.rect.top * zoom + 16);
+    }
+  } else {
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#94a3b8';
+    for (let row = 0; row < geometry.rows; row++) {
+      for (let col = 0; col < geometry.cols; col++) {
+        box({
+          left: geometry.topLeft.x + col * geometry.cellSpacing,
+          top: geometry.topLeft.y + row * geometry.cellSpacing,
+          width: geometry.cellSize,
+          height: geometry.cellSize
+        });
+      }
+    }
+  }
+  
+  // The user's marks
+  ctx.setLineDash([4, 4]);
+  ctx.strokeStyle = '#f472b6';
+  const rect = drag || (marks && marks.rect);
+  if (rect) box(rect);
+  for (const point of [marks && marks.first, marks && marks.last].filter(Boolean)) {
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(point.x * zoom - 10, point.y * zoom);
+    ctx.lineTo(point.x * zoom + 10, point.y * zoom);
+    ctx.moveTo(point.x * zoom, point.y * zoom - 10);
+    ctx.lineTo(point.x * zoom, point.y * zoom + 10);
+    ctx.stroke();
+  }
+}
+
+function handleCalibrationClick(event) {
+  if (!calibration || calibrateModeSelect.value !== 'points') return;
+  const point = canvasPoint(event);
+  const { marks, rows, cols } = calibration;
+  
+  // A single-cell grid only needs its centre
+  if (rows * cols === 1) {
+    calibration.marks = { first: point, last: point };
+  } else if (!marks || marks.last) {
+    calibration.marks = { first: point, last: null };
+    calibration.result = null;
+    calibrateSaveBtn.disabled = true;
+    calibrateStatus.textContent = 'Now click the centre of the bottom-right cell';
+  } else {
+    marks.last = point;
+  }
+  drawCalibration();
+  if (calibration.marks.last) testCalibration();
+}
+
+function handleCalibrationDragStart(event) {
+  if (!calibration || calibrateModeSelect.value !== 'rect') return;
+  const start = canvasPoint(event);
+  calibration.drag = { left: start.x, top: start.y, width: 0, height: 0, start };
+}
+
+function handleCalibrationDragMove(event) {
+  if (!calibration || !calibration.drag) return;
+  const { start } = calibration.drag;
+  const point = canvasPoint(event);
+  calibration.drag = {
+    left: Math.min(start.x, point.x),
+    top: Math.min(start.y, point.y),
+    width: Math.abs(point.x - start.x),
+    height: Math.abs(point.y - start.y),
+    start
+  };
+  drawCalibration();
+}
+
+function handleCalibrationDragEnd() {
+  if (!calibration || !calibration.drag) return;
+  const { left, top, width, height } = calibration.drag;
+  calibration.drag = null;
+  // A click without a drag keeps the previous rectangle
+  if (width < 4 || height < 4) {
+    drawCalibration();
+    return;
+  }
+  calibration.marks = { rect: { left, top, width, height } };
+  drawCalibration();
+  testCalibration();
+}
+
+function resetCalibrationMarks() {
+  calibrateSaveBtn.disabled = true;
+  calibrateCells.innerHTML = '';
+  if (!calibration) return;
+  calibration.marks = null;
+  calibration.result = null;
+  calibration.drag = null;
+  drawCalibration();
+}
+
+// Match the marked geometry on the screenshot and show every cell's confidence
+async function testCalibration() {
+  const { marks } = calibration;
+  calibrateStatus.textContent = 'Testing geometry...';
+  const result = await window.electronAPI.calibrateTest(marks);
+  // Marks changed while the test ran
+  if (calibration.marks !== marks) return;
+  
+  if (!result.success) {
+    calibration.result = null;
+    calibrateSaveBtn.disabled = true;
+    calibrateCells.innerHTML = '';
+    calibrateStatus.textContent = `⚠ ${result.error}`;
+    drawCalibration();
+    return;
+  }
+  
+  calibration.result = result;
+  const { topLeft, cellSize, cellSpacing } = result.patch;
+  const confident = result.cells.filter(cell => !cell.uncertain).length;
+  calibrateStatus.textContent = `Top-left ${topLeft.x},${topLeft.y} · ${cellSize}px cells · ${cellSpacing}px spacing (1080p) · ` +
+    `${confident}/${result.cells.length} cells confident`;
+  
+  calibrateCells.innerHTML = '';
+  calibrateCells.style.gridTemplateColumns = `repeat(${calibration.cols}, 1fr)`;
+  for (const cell of result.cells) {
+    const item = document.createElement('div');
+    item.className = 'calibrate-cell';
+    item.classList.toggle('uncertain', cell.uncertain);
+    item.innerHTML = '<strong></strong><small></small>';
+    item.querySelector('strong').textContent = cell.letter;
+    item.querySelector('small').textContent = `${cell.confidence.toFixed(0)}% · +${cell.margin.toFixed(0)}`;
+    calibrateCells.appendChild(item);
+  }
+  calibrateSaveBtn.disabled = false;
+  drawCalibration();
+}
+
+async function saveCalibration() {
+  calibrateSaveBtn.disabled = true;
+  const result = await window.electronAPI.calibrateSave(calibration.marks);
+  if (!result.success) {
+    calibrateStatus.textContent = `Save failed: ${result.error}`;
+    calibrateSaveBtn.disabled = false;
+    return;
+  }
+  
+  // The offsets are folded into the calibrated position
+  config = { ...config, ...result.config };
+  offsetXSlider.value = config.offset.x;
+  offsetXValue.textContent = config.offset.x;
+  offsetYSlider.value = config.offset.y;
+  offsetYValue.textContent = config.offset.y;
+  calibrateStatus.textContent = '✓ Geometry saved - fine-tune with the position sliders if needed';
+}
+
+// ============ RUN HISTORY ============
+function formatMs(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms.toFixed(1)}ms`;
+}
+
+// Confidence trend as an SVG polyline, 0-100% bottom to top
+function sparkline(points) {
+  const width = 200;
+  const height = 28;
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const coords = points.map((point, i) =>
+    `${(i * step).toFixed(1)},${(height - (point.confidence / 100) * height).toFixed(1)}`);
+  return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">` +
+    `<polyline points="${coords.join(' ')}" fill="none" stroke="#06b6d4" stroke-width="2" vector-effect="non-scaling-stroke"/></svg>`;
+}
+
+function tableRows(table, header, rows) {
+  table.innerHTML = '';
+  const head = table.insertRow();
+  for (const text of header) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  }
+  for (const row of rows) {
+    const tr = table.insertRow();
+    for (const cell of row) {
+      const td = tr.insertCell();
+      td.textContent = cell.text !== undefined ? cell.text : cell;
+      if (cell.className) td.className = cell.className;
+    }
+  }
+}
+
+async function refreshHistory() {
+  const result = await window.electronAPI.getHistory();
+  if (!result.success) {
+    historyStatus.textContent = `Could not read history: ${result.error}`;
+    return;
+  }
+  const { stats, recent } = result;
+  historyStatus.textContent = '';
+  
+  historySuccess.textContent = stats.successRate === null ? '-' : `${stats.successRate.toFixed(1)}%`;
+  historyCounts.textContent = stats.runs === 0
+    ? 'No runs yet'
+    : `${stats.done} solved · ${stats.failed} failed · ${stats.cancelled} cancelled`;
+  historyMedian.textContent = stats.totalMs ? formatMs(stats.totalMs.median) : '-';
+  historyP95.textContent = stats.totalMs ? formatMs(stats.totalMs.p95) : '-';
+  
+  letterTrends.innerHTML = '';
+  for (const letter of Object.keys(stats.letters).sort()) {
+    const { cells, meanConfidence, minConfidence, trend } = stats.letters[letter];
+    const row = document.createElement('div');
+    row.className = 'letter-trend';
+    row.title = `${cells} cells · min ${minConfidence.toFixed(1)}%`;
+    row.innerHTML = `<strong></strong><span>${meanConfidence.toFixed(1)}%</span>${sparkline(trend)}`;
+    row.querySelector('strong').textContent = letter;
+    letterTrends.appendChild(row);
+  }
+  
+  tableRows(stageTable, ['Stage', 'Median', 'p95'],
+    Object.entries(stats.stages)
+      .filter(([, timing]) => timing)
+      .map(([stage, timing]) => [stage, formatMs(timing.median), formatMs(timing.p95)]));
+  
+  tableRows(recentRuns, ['When', 'Outcome', 'Total', 'Grid'],
+    recent.map(run => {
+      const last = run.rounds[run.rounds.length - 1] || run.blocked;
+      return [
+        new Date(run.timestamp).toLocaleString(),
+        { text: run.error ? `${run.outcome}: ${run.error}` : run.outcome, className: `outcome-${run.outcome}` },
+        formatMs(run.totalMs),
+        last ? last.grid.map(row => row.join('')).join(' ') : '-'
+      ];
+    }));
+}
+
+async function exportHistory(format) {
+  const result = await window.electronAPI.exportHistory(format);
+  if (result.success) {
+    historyStatus.textContent = `Exported to ${result.path}`;
+  } else if (!result.canceled) {
+    historyStatus.textContent = `Export failed: ${result.error}`;
+  }
+}
+
 // ============ UPDATE HANDLING ============
 function handleUpdateStatus(data) {
   const { status, version, percent, message } = data;
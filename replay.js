@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// Offline replay harness: runs the recognition pipeline on saved screenshots and
+// compares the result with expected-grid sidecars, so template and threshold
+// changes can be checked without the game or Windows.
+//
+//   node replay.js <image.png | folder> [--config-dir <dir>] [--min-accuracy <pct>] [--json]
+//
+// Each screenshot `foo.png` may have a `foo.json` sidecar next to it:
+//   { "grid": [["Q", "W", "E"], ["R", "A", "S"], ["D", "Q", "W"]] }
+// A cropped screenshot also needs the part of the display it covers, as in a
+// debug run's report.json (which can be copied next to it as the sidecar):
+//   { "frame": { "display": { "width": 1920, "height": 1080 },
+//                "region": { "left": 600, "top": 300, "width": 540, "height": 540 } } }
+// Exit code 0 when accuracy meets --min-accuracy (default 100), 1 on a
+// regression or a failed image, 2 on bad usage.
+const fs = require('fs').promises;
+const path = require('path');
+const solver = require('./solver');
+const configStore = require('./config');
+
+function parseArgs(argv) {
+  const args = { target: null, configDir: null, minAccuracy: 100, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--config-dir') args.configDir = argv[++i];
+    else if (arg === '--min-accuracy') args.minAccuracy = Number(argv[++i]);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else if (!args.target) args.target = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!args.target) throw new Error('Missing image or folder');
+  if (!Number.isFinite(args.minAccuracy)) throw new Error('--min-accuracy must be a number');
+  return args;
+}
+
+async function listImages(target) {
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) return [target];
+
+  const entries = await fs.readdir(target);
+  return entries
+    .filter(name => name.toLowerCase().endsWith('.png'))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+// Sidecar -> { grid, frame }, either of them null when not given
+async function readSidecar(imagePath) {
+  const labelPath = imagePath.replace(/\.png$/i, '.json');
+  try {
+    const { grid = null, frame = null } = JSON.parse(await fs.readFile(labelPath, 'utf8'));
+    if (grid !== null && !Array.isArray(grid)) throw new Error('"grid" must be an array of rows');
+    if (frame !== null && !(frame.display && frame.region)) throw new Error('"frame" needs display and region');
+    return { grid, frame };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { grid: null, frame: null };
+    throw new Error(`Bad label file ${labelPath}: ${err.message}`);
+  }
+}
+
+async function replayImage(imagePath) {
+  const { grid: expected, frame } = await readSidecar(imagePath);
+  const image = await fs.readFile(imagePath);
+  const input = frame ? { image, raw: null, display: frame.display, region: frame.region } : image;
+  const { grid, cells, geometry } = await solver.recognizeGrid(input);
+
+  const results = cells.map(({ row, col, letter, confidence, margin, uncertain }) => {
+    const want = expected ? expected[row] && expected[row][col] : null;
+    return { row, col, letter, confidence, margin, uncertain, expected: want, correct: want == null ? null : want === letter };
+  });
+
+  return {
+    image: imagePath,
+    labeled: expected !== null,
+    grid,
+    geometry: { source: geometry.source, topLeft: geometry.topLeft, cellSize: geometry.cellSize },
+    cells: results,
+    mismatches: results.filter(cell => cell.correct === false),
+    uncertain: results.filter(cell => cell.uncertain)
+  };
+}
+
+function summarize(reports) {
+  const positions = {};
+  let total = 0;
+  let correct = 0;
+
+  for (const report of reports) {
+    if (!report.cells) continue;
+    for (const cell of report.cells) {
+      if (cell.correct === null) continue;
+      const key = `r${cell.row}c${cell.col}`;
+      positions[key] = positions[key] || { total: 0, correct: 0, confidences: [] };
+      positions[key].total++;
+      positions[key].confidences.push(cell.confidence);
+      total++;
+      if (cell.correct) {
+        positions[key].correct++;
+        correct++;
+      }
+    }
+  }
+
+  const perCell = {};
+  for (const [key, pos] of Object.entries(positions)) {
+    perCell[key] = {
+      accuracy: (pos.correct / pos.total) * 100,
+      minConfidence: Math.min(...pos.confidences),
+      meanConfidence: pos.confidences.reduce((a, b) => a + b, 0) / pos.confidences.length
+    };
+  }
+
+  return {
+    images: reports.length,
+    failed: reports.filter(r => r.error).length,
+    cells: total,
+    correct,
+    accuracy: total > 0 ? (correct / total) * 100 : null,
+    perCell
+  };
+}
+
+function printReport(reports, summary) {
+  for (const report of reports) {
+    const name = path.basename(report.image);
+    if (report.error) {
+      console.log(`❌ ${name}: ${report.error}`);
+      continue;
+    }
+
+    const letters = report.grid.map(row => row.join('')).join(' ');
+    const minConf = Math.min(...report.cells.map(c => c.confidence)).toFixed(1);
+    const flagged = report.uncertain.length ? `  ⚠ ${report.uncertain.length} uncertain` : '';
+    if (!report.labeled) {
+      console.log(`🖼️  ${name}  ${letters}  (unlabeled, min conf ${minConf}%)${flagged}`);
+      continue;
+    }
+
+    const ok = report.cells.length - report.mismatches.length;
+    console.log(`${report.mismatches.length ? '✗' : '✓'} ${name}  ${letters}  ${ok}/${report.cells.length}  min conf ${minConf}%${flagged}`);
+    for (const cell of report.mismatches) {
+      console.log(`    r${cell.row}c${cell.col}: expected ${cell.expected}, got ${cell.letter} (${cell.confidence.toFixed(1)}%)`);
+    }
+  }
+
+  console.log('\n📊 Per-cell accuracy:');
+  for (const [key, pos] of Object.entries(summary.perCell)) {
+    console.log(`  ${key}  ${pos.accuracy.toFixed(1).padStart(5)}%  conf min ${pos.minConfidence.toFixed(1)}% / mean ${pos.meanConfidence.toFixed(1)}%`);
+  }
+
+  const accuracy = summary.accuracy === null ? 'n/a' : `${summary.accuracy.toFixed(1)}%`;
+  console.log(`\n${summary.correct}/${summary.cells} cells correct (${accuracy}) across ${summary.images} image(s), ${summary.failed} failed`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`Usage error: ${err.message}`);
+    console.error('Usage: node replay.js <image.png | folder> [--config-dir <dir>] [--min-accuracy <pct>] [--json]');
+    return 2;
+  }
+
+  // Keep stdout clean for the JSON report; solver progress goes to stderr
+  if (args.json) console.log = (...parts) => console.error(...parts);
+
+  if (args.configDir) {
+    solver.updateConfig(await configStore.loadConfig(args.configDir, { readOnly: true }));
+  }
+  if (!(await solver.loadTemplates())) return 1;
+
+  const images = await listImages(args.target);
+  const reports = [];
+  for (const imagePath of images) {
+    try {
+      reports.push(await replayImage(imagePath));
+    } catch (err) {
+      reports.push({ image: imagePath, error: err.message });
+    }
+  }
+
+  const summary = summarize(reports);
+  const regression = summary.failed > 0 || (summary.accuracy !== null && summary.accuracy < args.minAccuracy);
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify({ summary, reports, regression }, null, 2) + '\n');
+  } else {
+    printReport(reports, summary);
+    console.log(regression ? `❌ Below ${args.minAccuracy}% or failed images` : '✅ No regressions');
+  }
+
+  return regression ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}, err => {
+  console.error('❌ Replay failed:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,102 @@
+// Solver run controller: one run at a time, cancelled through an AbortSignal.
+//
+// A run moves through the working states as the task reports them, then ends
+// in exactly one terminal state:
+//   idle -> capturing -> detecting -> typing -> verifying (-> capturing ...)
+//        -> done | cancelled | failed
+// verifying is the wait after typing for the game to show the next grid.
+//
+// Every transition is passed to onState as
+//   { state, message, runId, round, maxRounds, executionTime, error }
+// with the fields that do not apply left out.
+const WORKING_STATES = ['capturing', 'detecting', 'typing', 'verifying'];
+const TERMINAL_STATES = ['done', 'cancelled', 'failed'];
+
+const DEFAULT_MESSAGES = {
+  idle: 'Ready',
+  capturing: 'Capturing screen...',
+  detecting: 'Detecting letters...',
+  typing: 'Pressing keys...',
+  verifying: 'Waiting for the next grid...',
+  cancelled: 'Cancelled'
+};
+
+function createRunController({ onState }) {
+  let active = null;
+  let runId = 0;
+  let status = { state: 'idle', message: DEFAULT_MESSAGES.idle, runId };
+
+  function report(state, fields = {}) {
+    status = { state, message: DEFAULT_MESSAGES[state], runId, ...fields };
+    onState(status);
+  }
+
+  return {
+    // Run task({ signal, stage }) unless a run is already going. The task calls
+    // stage(state, fields) as it progresses and resolves a { success, error }
+    // result; an optional result.summary is appended to the done message.
+    // Resolves the task's result, or null when the run did not start or threw.
+    async start(task) {
+      if (active) return null;
+      const controller = new AbortController();
+      active = controller;
+      runId++;
+      const startedAt = Date.now();
+      const elapsed = () => parseFloat(((Date.now() - startedAt) / 1000).toFixed(2));
+
+      const stage = (state, fields = {}) => {
+        if (!WORKING_STATES.includes(state)) throw new Error(`Not a working run state: ${state}`);
+        // Stages still reporting after a cancel would flicker over the final state
+        if (controller.signal.aborted) return;
+        const prefix = fields.maxRounds > 1 ? `Round ${fields.round}/${fields.maxRounds}: ` : '';
+        report(state, { message: prefix + DEFAULT_MESSAGES[state], ...fields });
+      };
+
+      try {
+        const result = await task({ signal: controller.signal, stage });
+        if (controller.signal.aborted) {
+          report('cancelled', { executionTime: elapsed() });
+        } else if (!result || result.success === false) {
+          const error = (result && result.error) || 'Solver failed';
+          report('failed', { message: error, error, executionTime: elapsed() });
+        } else {
+          const executionTime = elapsed();
+          const summary = result.summary ? ` - ${result.summary}` : '';
+          report('done', { message: `Complete in ${executionTime.toFixed(2)}s${summary}`, executionTime });
+        }
+        return result;
+      } catch (err) {
+        if (controller.signal.aborted) {
+          report('cancelled', { executionTime: elapsed() });
+        } else {
+          console.error('Solver error:', err);
+          report('failed', { message: err.message, error: err.message, executionTime: elapsed() });
+        }
+        return null;
+      } finally {
+        active = null;
+      }
+    },
+
+    // Abort the running run; it settles as cancelled once its current stage notices
+    cancel() {
+      if (!active) return false;
+      active.abort(new Error('Cancelled'));
+      return true;
+    },
+
+    isBusy() {
+      return active !== null;
+    },
+
+    getState() {
+      return status;
+    }
+  };
+}
+
+module.exports = {
+  WORKING_STATES,
+  TERMINAL_STATES,
+  createRunController
+};
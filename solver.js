@@ -1,262 +1,991 @@
-const screenshot = require('screenshot-desktop');
 const sharp = require('sharp');
-const { exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
-const os = require('os');
-
-const debugDir = path.join(os.homedir(), 'Documents', 'MHSolver_Debug');
-const templatesDir = path.join(__dirname, 'letter_templates');
-
-// Configuration
-let config = {
-  resolution: { width: 1920, height: 1080 },
-  cellSize: 100,
-  cellSpacing: 95,
-  topLeft: { x: 792, y: 445 },
-  offset: { x: -118, y: -45 },
-  keyDelay: 15  // REDUCED from 50ms to 15ms for speed
-};
-
-let shouldStop = false;
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const configStore = require('./config');
+const { resolveGeometry, cellRect } = require('./geometry');
+const { getDebugFolder, writeDebugRun } = require('./debug');
+const { createInputBackend } = require('./input');
+const { MATCH_SIZE, toMask, scoreCell, createMatcherPool } = require('./matcher');
+const { createClassifier, adaptiveClassifier } = require('./colors');
+const { createCaptureSource, frameFromImage, decodeFrame, frameImage, frameRect, frameContains } = require('./capture');
+const { createBudget } = require('./timing');
+const { getTemplatesDir, loadManifest, getLabels, getKeyForLabel, listVariantFiles } = require('./templates');
+
+
+// Configuration - defaults come from the config schema, main.js pushes the persisted values
+let config = configStore.defaults();
+
 let templates = {};
+// Every variant of every letter as one flat list, in the shape the matcher scores
+let templateMasks = [];
+// Short hash of the loaded template pixels, to tell template sets apart in run history
+let templateFingerprint = null;
+let matcherPool = null;
+let captureSource = null;
+let input = null;
+let inputStatus = null;
 
-// Load letter templates on startup
+// Load letter templates on startup; called again to pick up edited templates
 async function loadTemplates() {
   console.log('📂 Loading letter templates...');
+  const templatesDir = getTemplatesDir();
   
   // Create templates directory if it doesn't exist
   try {
     await fs.mkdir(templatesDir, { recursive: true });
   } catch (err) {}
   
-  const letters = ['Q', 'W', 'E', 'R', 'A', 'S', 'D'];
+  // The manifest defines which labels exist and which key each one sends
+  let labels;
+  try {
+    await loadManifest();
+    labels = getLabels();
+  } catch (err) {
+    console.log(`\n❌ ${err.message}\n`);
+    templates = {};
+    return false;
+  }
   
-  for (const letter of letters) {
-    const templatePath = path.join(templatesDir, `${letter}.png`);
-    try {
-      // Load and preprocess template
-      const templateBuffer = await sharp(templatePath)
-        .resize(80, 80, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
-        .raw()
-        .toBuffer({ resolveWithObject: true });
-      
-      templates[letter] = templateBuffer;
-      console.log(`  ✅ Loaded template: ${letter}`);
-    } catch (err) {
+  // Build into a fresh set so deleted templates drop out on reload.
+  // Each letter maps to all of its variants: [{ id, raw, bits, count }], where
+  // bits is the glyph mask precomputed from raw instead of on every match
+  const loaded = {};
+  for (const letter of labels) {
+    for (const variant of await listVariantFiles(letter)) {
+      try {
+        // Load and preprocess template
+        const templateBuffer = await sharp(variant.path)
+          .resize(MATCH_SIZE, MATCH_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+          .raw()
+          .toBuffer({ resolveWithObject: true });
+        
+        loaded[letter] = loaded[letter] || [];
+        loaded[letter].push({ id: variant.id, raw: templateBuffer });
+      } catch (err) {
+        console.log(`  ⚠️  Unreadable template: ${variant.path} (${err.message})`);
+      }
+    }
+    
+    if (loaded[letter]) {
+      console.log(`  ✅ Loaded template: ${letter} (${loaded[letter].length} variant${loaded[letter].length === 1 ? '' : 's'})`);
+    } else {
       console.log(`  ⚠️  Missing template: ${letter}.png`);
     }
   }
+  templates = loaded;
+  templateFingerprint = fingerprintTemplates(loaded);
+  buildTemplateMasks();
   
   const loadedCount = Object.keys(templates).length;
   if (loadedCount === 0) {
     console.log('\n❌ No templates found!');
     console.log(`📁 Please save letter images as PNG files in: ${templatesDir}`);
-    console.log('   Required files: Q.png, W.png, E.png, R.png, A.png, S.png, D.png\n');
+    console.log(`   Required files: ${labels.map(letter => `${letter}.png`).join(', ')}\n`);
     return false;
   }
   
-  console.log(`✅ Loaded ${loadedCount}/7 templates\n`);
+  console.log(`✅ Loaded ${loadedCount}/${labels.length} templates\n`);
   return true;
 }
 
-// Compare two images using template matching
-async function compareImages(cellBuffer, templateBuffer) {
-  const { data: cellData, info: cellInfo } = cellBuffer;
-  const { data: templateData, info: templateInfo } = templateBuffer;
-  
-  // Simple pixel-by-pixel comparison of cyan pixels
-  let matchingPixels = 0;
-  let totalCyanPixels = 0;
-  
-  const minWidth = Math.min(cellInfo.width, templateInfo.width);
-  const minHeight = Math.min(cellInfo.height, templateInfo.height);
+function fingerprintTemplates(loaded) {
+  const hash = crypto.createHash('sha1');
+  for (const letter of Object.keys(loaded).sort()) {
+    for (const { id, raw } of loaded[letter]) {
+      hash.update(id);
+      hash.update(raw.data);
+    }
+  }
+  return hash.digest('hex').slice(0, 10);
+}
+
+// Glyph classifier for one cell: the configured colour profile, or in adaptive
+// mode a colour estimated from the cell itself
+function imageClassifier(buffer) {
+  return config.color.adaptive
+    ? adaptiveClassifier(buffer, config.color.profile)
+    : createClassifier(config.color.profile);
+}
+
+// (Re)build every template's glyph mask with the current colour settings.
+// Templates are always read adaptively: each holds one clean glyph, and this
+// lets the bundled cyan set match under any colour profile.
+function buildTemplateMasks() {
+  for (const variants of Object.values(templates)) {
+    for (const variant of variants) {
+      Object.assign(variant, toMask(variant.raw, adaptiveClassifier(variant.raw, config.color.profile)));
+    }
+  }
+  templateMasks = Object.entries(templates).flatMap(([letter, variants]) =>
+    variants.map(({ id, bits, count }) => ({ letter, id, bits, count })));
+  if (matcherPool) matcherPool.setTemplates(templateMasks);
+}
+
+// Loaded template counts: how many letters have templates and how many variants each
+function getTemplateStatus() {
+  const perLetter = {};
+  for (const letter of getLabels()) {
+    perLetter[letter] = templates[letter] ? templates[letter].length : 0;
+  }
+  const count = Object.values(perLetter).filter(n => n > 0).length;
   
-  for (let y = 0; y < minHeight; y++) {
-    for (let x = 0; x < minWidth; x++) {
-      const cellIdx = (y * cellInfo.width + x) * 3;
-      const templateIdx = (y * templateInfo.width + x) * 3;
-      
-      const cellR = cellData[cellIdx];
-      const cellG = cellData[cellIdx + 1];
-      const cellB = cellData[cellIdx + 2];
-      
-      const templateR = templateData[templateIdx];
-      const templateG = templateData[templateIdx + 1];
-      const templateB = templateData[templateIdx + 2];
-      
-      // Check if both are cyan pixels
-      const cellIsCyan = (cellB > 100 && cellG > 80 && cellR < 140);
-      const templateIsCyan = (templateB > 100 && templateG > 80 && templateR < 140);
-      
-      if (templateIsCyan) {
-        totalCyanPixels++;
-        if (cellIsCyan) {
-          matchingPixels++;
+  return {
+    loaded: count > 0,
+    count,
+    expected: getLabels().length,
+    variants: Object.values(perLetter).reduce((a, b) => a + b, 0),
+    perLetter,
+    fingerprint: count > 0 ? templateFingerprint : null
+  };
+}
+
+// Minimum contrast (glyph density at cell centres minus density between them) to trust a located grid
+const MIN_LOCATOR_SCORE = 0.05;
+// HUD scale factors tried around the configured cell size
+const LOCATOR_SCALES = [0.8, 0.85, 0.9, 0.95, 1, 1.05, 1.1, 1.15, 1.2, 1.25];
+
+// Display area the locator scans around the configured grid: the grid at the
+// largest scale tried, plus the search margin on every side
+function searchRegion(hint) {
+  const margin = Math.round(config.locator.searchMargin * hint.scale);
+  const maxFactor = LOCATOR_SCALES[LOCATOR_SCALES.length - 1];
+  const spanX = Math.round(hint.cellSpacing * (hint.cols - 1) * maxFactor) + Math.round(hint.cellSize * maxFactor);
+  const spanY = Math.round(hint.cellSpacing * (hint.rows - 1) * maxFactor) + Math.round(hint.cellSize * maxFactor);
+  return {
+    left: hint.topLeft.x - margin,
+    top: hint.topLeft.y - margin,
+    width: spanX + 2 * margin,
+    height: spanY + 2 * margin
+  };
+}
+
+// Display rectangle holding every cell of a geometry
+function gridBounds(geometry) {
+  const first = cellRect(geometry, 0, 0);
+  const last = cellRect(geometry, geometry.rows - 1, geometry.cols - 1);
+  return {
+    left: first.left,
+    top: first.top,
+    width: last.left + last.width - first.left,
+    height: last.top + last.height - first.top
+  };
+}
+
+function getCaptureSource() {
+  if (!captureSource) {
+    captureSource = createCaptureSource(config.capture.source, {
+      display: config.capture.display,
+      file: config.capture.file
+    });
+  }
+  return captureSource;
+}
+
+// Displays the configured capture source can grab, for the display selector
+async function listDisplays() {
+  return getCaptureSource().listDisplays();
+}
+
+// Crop applied to every frame: the locator's search region around the
+// configured grid, so later stages only decode the area the grid can be in
+function captureRegion() {
+  if (!config.capture.cropToGrid) return null;
+  return (display) => searchRegion(resolveGeometry(config, display.width, display.height));
+}
+
+// Capture the chosen display through the configured source
+async function captureFrame() {
+  return getCaptureSource().capture({ region: captureRegion() });
+}
+
+// Saved screenshots go through the same crop as live captures
+async function toFrame(input) {
+  return Buffer.isBuffer(input) ? frameFromImage(input, captureRegion()) : input;
+}
+
+// Find the rows x cols grid by scanning for glyph clusters around the configured position.
+// Returns located geometry, or null when nothing convincing was found.
+async function locateGrid(frame, hint) {
+  const { rows, cols } = hint;
+  const cellCount = rows * cols;
+
+  // Search region, limited to what was captured
+  const search = searchRegion(hint);
+  const left = Math.max(search.left, frame.region.left);
+  const top = Math.max(search.top, frame.region.top);
+  const region = {
+    left,
+    top,
+    width: Math.min(search.left + search.width, frame.region.left + frame.region.width) - left,
+    height: Math.min(search.top + search.height, frame.region.top + frame.region.height) - top
+  };
+  if (region.width <= 0 || region.height <= 0) return null;
+
+  const { data, info } = await frameImage(frame)
+    .extract(frameRect(frame, region))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const isGlyph = createClassifier(config.color.profile);
+
+  // Integral image of the glyph mask so every window sum is O(1)
+  const w = info.width;
+  const h = info.height;
+  const stride = w + 1;
+  const integral = new Uint32Array(stride * (h + 1));
+  for (let y = 0; y < h; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < w; x++) {
+      const idx = (y * w + x) * info.channels;
+      if (isGlyph(data[idx], data[idx + 1], data[idx + 2])) rowSum++;
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+  const sum = (x0, y0, x1, y1) =>
+    integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+
+  // Glyphs sit in the middle of each cell. The scoring window has a fixed size so
+  // the lattice that captures the most glyph mass wins, whatever its spacing.
+  const windowSize = Math.max(4, Math.round(hint.cellSize * 0.4));
+  const windowArea = windowSize * windowSize;
+  // Every cell holds a letter; tolerate a quarter of them being faint
+  const minFilled = cellCount - Math.floor(cellCount / 4);
+
+  let best = null;
+  for (const factor of LOCATOR_SCALES) {
+    const size = Math.round(hint.cellSize * factor);
+    const spacing = hint.cellSpacing * factor;
+    const gridWidth = Math.round(spacing * (cols - 1)) + size;
+    const gridHeight = Math.round(spacing * (rows - 1)) + size;
+    const inset = Math.round((size - windowSize) / 2);
+    const outsideArea = gridWidth * gridHeight - windowArea * cellCount;
+    if (gridWidth > w || gridHeight > h || inset < 0 || outsideArea <= 0) continue;
+
+    // Coarse 2px scan; the centroid pass below recovers the exact position
+    for (let y0 = 0; y0 + gridHeight <= h; y0 += 2) {
+      for (let x0 = 0; x0 + gridWidth <= w; x0 += 2) {
+        let inside = 0;
+        let filled = 0;
+        for (let row = 0; row < rows; row++) {
+          for (let col = 0; col < cols; col++) {
+            const cx = x0 + Math.round(col * spacing) + inset;
+            const cy = y0 + Math.round(row * spacing) + inset;
+            const glyph = sum(cx, cy, cx + windowSize, cy + windowSize);
+            inside += glyph;
+            if (glyph > windowArea * 0.05) filled++;
+          }
         }
+        if (filled < minFilled) continue;
+
+        // Prefer the configured scale when two lattices capture the same mass
+        if (best && (inside < best.inside ||
+            (inside === best.inside && Math.abs(factor - 1) >= Math.abs(best.factor - 1)))) continue;
+
+        const outside = sum(x0, y0, x0 + gridWidth, y0 + gridHeight) - inside;
+        const score = inside / (windowArea * cellCount) - outside / outsideArea;
+        best = { inside, score, factor, x: x0, y: y0, size, spacing };
       }
     }
   }
-  
-  // Return match percentage
-  return totalCyanPixels > 0 ? (matchingPixels / totalCyanPixels) * 100 : 0;
+
+  if (!best || best.score < MIN_LOCATOR_SCORE) return null;
+
+  // Centre the lattice on the glyphs: average how far each glyph centroid sits
+  // from its window centre, searching a slightly larger window to catch it whole
+  const inset = Math.round((best.size - windowSize) / 2);
+  const pad = Math.round(windowSize / 4);
+  let shiftX = 0;
+  let shiftY = 0;
+  let counted = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cx = best.x + Math.round(col * best.spacing) + inset;
+      const cy = best.y + Math.round(row * best.spacing) + inset;
+      let n = 0;
+      let sx = 0;
+      let sy = 0;
+      for (let y = Math.max(0, cy - pad); y < Math.min(h, cy + windowSize + pad); y++) {
+        for (let x = Math.max(0, cx - pad); x < Math.min(w, cx + windowSize + pad); x++) {
+          const idx = (y * w + x) * info.channels;
+          if (isGlyph(data[idx], data[idx + 1], data[idx + 2])) {
+            n++;
+            sx += x;
+            sy += y;
+          }
+        }
+      }
+      if (n === 0) continue;
+      shiftX += sx / n - (cx + windowSize / 2);
+      shiftY += sy / n - (cy + windowSize / 2);
+      counted++;
+    }
+  }
+  if (counted > 0) {
+    best.x += Math.round(shiftX / counted);
+    best.y += Math.round(shiftY / counted);
+  }
+
+  return {
+    ...hint,
+    source: 'located',
+    score: best.score,
+    cellSize: best.size,
+    cellSpacing: best.spacing,
+    topLeft: { x: region.left + best.x, y: region.top + best.y }
+  };
 }
 
-// Detect letter using template matching
-async function detectLetterFast(cellBuffer) {
-  let bestMatch = { letter: '?', confidence: 0 };
+// Worker pool for matching, sized by matcher.workers; 0 keeps matching on this thread
+function getMatcherPool() {
+  const size = config.matcher.workers;
+  if (matcherPool && matcherPool.size === size) return matcherPool;
   
-  // Compare against all templates
-  for (const [letter, templateBuffer] of Object.entries(templates)) {
-    const confidence = await compareImages(cellBuffer, templateBuffer);
-    
-    if (confidence > bestMatch.confidence) {
-      bestMatch = { letter, confidence };
+  stopMatcher();
+  if (size === 0) return null;
+  matcherPool = createMatcherPool(size);
+  matcherPool.setTemplates(templateMasks);
+  return matcherPool;
+}
+
+function stopMatcher() {
+  if (!matcherPool) return;
+  matcherPool.close().catch(err => console.error('⚠️  Could not stop matcher workers:', err.message));
+  matcherPool = null;
+}
+
+// Translation window and scale factors each cell/template pair is tried at
+function matchAlignment() {
+  const range = config.alignment.scaleRange / 100;
+  return {
+    maxShift: config.alignment.maxShift,
+    scales: range > 0 ? [1, 1 - range, 1 + range] : [1]
+  };
+}
+
+// Score every cell mask against every template variant at its best alignment,
+// one { scores, alignments } result per cell
+async function scoreCells(cellMasks) {
+  const alignment = matchAlignment();
+  const pool = getMatcherPool();
+  if (pool) {
+    try {
+      return await pool.score(cellMasks.map(mask => mask.bits), alignment);
+    } catch (err) {
+      // The pool replaces a crashed worker on its next job; score these cells here meanwhile
+      console.error(`⚠️  Matcher workers failed (${err.message}), scoring on this thread`);
     }
   }
+  return cellMasks.map(mask => scoreCell(mask.bits, templateMasks, alignment));
+}
+
+// Mean shift of the winning alignments in screen and 1080p reference pixels.
+// A consistent non-zero mean means the grid position is off by that much.
+function summarizeAlignment(cells, geometry) {
+  const aligned = cells.filter(cell => cell.alignment);
+  if (aligned.length === 0) return null;
   
-  return bestMatch;
+  const toScreen = geometry.cellSize / MATCH_SIZE;
+  const mean = (pick) => aligned.reduce((total, cell) => total + pick(cell.alignment), 0) / aligned.length;
+  const dx = mean(a => a.dx) * toScreen;
+  const dy = mean(a => a.dy) * toScreen;
+  return {
+    dx,
+    dy,
+    scale: mean(a => a.scale),
+    reference: { dx: dx / geometry.scale, dy: dy / geometry.scale }
+  };
 }
 
-// Capture and process grid - OPTIMIZED FOR SPEED
-async function solveMinigameFast() {
-  const startTime = Date.now();
-  console.log('🚀 Starting FAST solver...\n');
+// Pick the letter from one cell's variant scores. A match is uncertain when it
+// scores below minConfidence or beats the runner-up by less than minMargin points.
+function detectLetter({ scores: variantScores, alignments }) {
+  let bestMatch = { letter: '?', variant: null, confidence: 0 };
+  let runnerUp = { letter: '?', confidence: 0 };
+  const scores = {};
   
-  try {
-    // Step 1: Capture screen (0.2s)
-    console.log('📸 Capturing screen...');
-    const imgBuffer = await screenshot();
-    const image = sharp(imgBuffer);
-    const metadata = await image.metadata();
-    
-    // Step 2: Calculate grid position
-    const { width, height } = metadata;
-    const gridConfig = {
-      cellSize: config.cellSize,
-      cellSpacing: config.cellSpacing,
-      topLeft: {
-        x: config.topLeft.x + config.offset.x,
-        y: config.topLeft.y + config.offset.y
+  // A letter scores as its best variant
+  for (const [letter, variants] of Object.entries(templates)) {
+    let letterBest = { confidence: 0, variant: null };
+    for (const { id } of variants) {
+      const confidence = variantScores[id];
+      if (!letterBest.variant || confidence > letterBest.confidence) {
+        letterBest = { confidence, variant: id };
       }
-    };
-    
-    // Step 3: Extract all 9 cells in parallel (0.3s)
-    console.log('🔍 Extracting cells...');
-    const cellPromises = [];
+    }
+    scores[letter] = letterBest.confidence;
     
-    for (let row = 0; row < 3; row++) {
-      for (let col = 0; col < 3; col++) {
-        const x = gridConfig.topLeft.x + (col * gridConfig.cellSpacing);
-        const y = gridConfig.topLeft.y + (row * gridConfig.cellSpacing);
-        
-        cellPromises.push(
-          image.clone()
-            .extract({ left: x, top: y, width: gridConfig.cellSize, height: gridConfig.cellSize })
-            .resize(80, 80, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
-            .raw()
-            .toBuffer({ resolveWithObject: true })
-            .then(buffer => ({ row, col, buffer }))
-        );
+    if (letterBest.confidence > bestMatch.confidence) {
+      runnerUp = bestMatch;
+      bestMatch = { letter, variant: letterBest.variant, confidence: letterBest.confidence };
+    } else if (letterBest.confidence > runnerUp.confidence) {
+      runnerUp = { letter, confidence: letterBest.confidence };
+    }
+  }
+  
+  const margin = bestMatch.confidence - runnerUp.confidence;
+  let uncertain = null;
+  if (bestMatch.confidence < config.detection.minConfidence) {
+    uncertain = `${bestMatch.letter} ${bestMatch.confidence.toFixed(1)}% < ${config.detection.minConfidence}%`;
+  } else if (margin < config.detection.minMargin) {
+    uncertain = `${bestMatch.letter} vs ${runnerUp.letter}, margin ${margin.toFixed(1)}%`;
+  }
+  
+  const alignment = bestMatch.variant ? alignments[bestMatch.variant] : null;
+  return { ...bestMatch, runnerUp: runnerUp.letter, margin, uncertain, scores, variantScores, alignment };
+}
+
+// Run every loaded template through the matcher as if it were a captured cell.
+// Each should come out as its own letter with the confidence and margin a solve
+// needs; one that does not points at a confusable or badly cropped template.
+async function checkTemplates() {
+  const variants = Object.entries(templates).flatMap(([letter, list]) =>
+    list.map(({ id, raw }) => ({ letter, id, raw })));
+  const cellScores = await scoreCells(variants.map(({ raw }) => toMask(raw, imageClassifier(raw))));
+  
+  return variants.map(({ letter, id }, index) => {
+    const { letter: detected, confidence, runnerUp, margin, uncertain } = detectLetter(cellScores[index]);
+    return { letter, id, detected, confidence, runnerUp, margin, uncertain, ok: detected === letter && !uncertain };
+  });
+}
+
+// Work out where the cells are in a frame: scale the configured geometry,
+// then let the locator refine it. Geometry is in display pixels whatever part
+// of the display the frame holds. A given geometry (calibration) is used as is.
+async function findCells(frame, geometry = null) {
+  const { width, height } = frame.display;
+  
+  // Scale the reference geometry to the captured frame
+  const fixedGeometry = geometry
+    ? { ...geometry, source: 'calibration' }
+    : { ...resolveGeometry(config, width, height), source: 'fixed' };
+  console.log(`📐 Frame ${width}x${height}, profile ${fixedGeometry.profile || 'fitted'}, scale ${fixedGeometry.scale.toFixed(3)}`);
+  
+  // Locate the grid, using the fixed geometry as search hint and fallback
+  let gridConfig = fixedGeometry;
+  if (config.locator.enabled && !geometry) {
+    const located = await locateGrid(frame, fixedGeometry);
+    if (located) {
+      gridConfig = located;
+      console.log(`🎯 Grid located at ${located.topLeft.x},${located.topLeft.y} (cell ${located.cellSize}px, score ${located.score.toFixed(2)})`);
+    } else {
+      console.log('⚠️  Grid not located, using fixed position');
+    }
+  }
+  
+  const rects = [];
+  for (let row = 0; row < gridConfig.rows; row++) {
+    for (let col = 0; col < gridConfig.cols; col++) {
+      const rect = cellRect(gridConfig, row, col);
+      if (!frameContains(frame, rect)) {
+        throw new Error(`Cell ${row},${col} falls outside the captured area of the ${width}x${height} screen - check resolution and offsets`);
       }
+      rects.push({ row, col, rect });
     }
+  }
+  
+  return { gridConfig, rects };
+}
+
+// The whole chosen display, uncropped and decoded, for the calibration view
+async function captureDisplay() {
+  return decodeFrame(await getCaptureSource().capture());
+}
+
+// Capture the screen and return every cell as PNGs at native size, for making templates
+async function captureCells() {
+  const frame = await captureFrame();
+  const image = frameImage(frame);
+  const { gridConfig, rects } = await findCells(frame);
+  
+  const cells = await Promise.all(rects.map(async ({ row, col, rect }) => ({
+    row,
+    col,
+    png: await image.clone().extract(frameRect(frame, rect)).png().toBuffer()
+  })));
+  
+  return { cells, geometry: gridConfig };
+}
+
+// What the matcher sees for a cell image: its glyph mask with the current
+// colour settings, as a white-on-black PNG at match size
+async function binarizeCell(png) {
+  const buffer = await sharp(png)
+    .resize(MATCH_SIZE, MATCH_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { data, info } = buffer;
+  const isGlyph = imageClassifier(buffer);
+  
+  const mask = Buffer.alloc(info.width * info.height);
+  for (let i = 0; i < mask.length; i++) {
+    const idx = i * info.channels;
+    if (isGlyph(data[idx], data[idx + 1], data[idx + 2])) mask[i] = 255;
+  }
+  return sharp(mask, { raw: { width: info.width, height: info.height, channels: 1 } }).png().toBuffer();
+}
+
+// Run the recognition pipeline on an already captured image: geometry, locate,
+// extract and match. No screen capture and no key presses, so it also works on
+// saved screenshots: takes a captured frame or an encoded full-screen image.
+// options.geometry skips geometry resolution and the locator (calibration).
+async function recognizeGrid(input, { geometry = null } = {}) {
+  // Stage timings in fractional ms; detection alone is often well under 1ms.
+  // Decode counts any decoding the capture source already did for this frame.
+  const timings = {};
+  const frame = await decodeFrame(await toFrame(input));
+  timings.decode = frame.decodeMs || 0;
+  let stageStart = performance.now();
+  const image = frameImage(frame);
+  const { gridConfig, rects } = await findCells(frame, geometry);
+  timings.locate = performance.now() - stageStart;
+  stageStart = performance.now();
+  
+  // Extract all cells in parallel
+  console.log('🔍 Extracting cells...');
+  const cellPromises = rects.map(({ row, col, rect }) =>
+    image.clone()
+      .extract(frameRect(frame, rect))
+      .resize(MATCH_SIZE, MATCH_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+      .then(buffer => ({ row, col, buffer }))
+  );
+  
+  const cellImages = await Promise.all(cellPromises);
+  timings.extract = performance.now() - stageStart;
+  stageStart = performance.now();
+  
+  // Detect all letters, spread across the matcher workers
+  console.log('🔤 Detecting letters...');
+  const cellScores = await scoreCells(cellImages.map(({ buffer }) => toMask(buffer, imageClassifier(buffer))));
+  const results = cellImages.map(({ row, col }, index) => {
+    const { letter, variant, confidence, runnerUp, margin, uncertain, scores, variantScores, alignment } = detectLetter(cellScores[index]);
+    return { row, col, letter, variant, confidence, runnerUp, margin, uncertain, scores, variantScores, alignment };
+  });
+  timings.detect = performance.now() - stageStart;
+  const uncertain = results.filter(cell => cell.uncertain);
+  
+  // Build grid
+  const grid = Array(gridConfig.rows).fill(null).map(() => Array(gridConfig.cols).fill('?'));
+  results.forEach(({ row, col, letter }) => {
+    grid[row][col] = letter;
+  });
+  
+  const alignment = summarizeAlignment(results, gridConfig);
+  if (alignment && Math.max(Math.abs(alignment.dx), Math.abs(alignment.dy)) >= 1) {
+    console.log(`📏 Letters sit ${alignment.dx.toFixed(1)},${alignment.dy.toFixed(1)}px from the cell centres on average`);
+  }
+  
+  return { grid, cells: results, uncertain, geometry: gridConfig, alignment, timings, cellImages, rects, frame };
+}
+
+// Cheap presence check for watch mode: capture, cut the cells at the
+// configured position (no locator, no logging) and count the ones that match
+// a template confidently. The alignment search absorbs small position errors.
+async function probeGrid() {
+  const frame = await captureFrame();
+  const { width, height } = frame.display;
+  const geometry = resolveGeometry(config, width, height);
+  if (!frameContains(frame, gridBounds(geometry))) {
+    throw new Error(`Grid falls outside the ${width}x${height} screen - check resolution and offsets`);
+  }
+  
+  // Cropped frames are raw pixels already, so cutting cells decodes nothing twice
+  const image = frameImage(frame);
+  const rects = [];
+  for (let row = 0; row < geometry.rows; row++) {
+    for (let col = 0; col < geometry.cols; col++) {
+      rects.push(cellRect(geometry, row, col));
+    }
+  }
+  const cellImages = await Promise.all(rects.map(rect =>
+    image.clone()
+      .extract(frameRect(frame, rect))
+      .resize(MATCH_SIZE, MATCH_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+  ));
+  
+  const cellScores = await scoreCells(cellImages.map(buffer => toMask(buffer, imageClassifier(buffer))));
+  const confident = cellScores.filter(result => !detectLetter(result).uncertain).length;
+  return {
+    present: (confident / rects.length) * 100 >= config.watch.minCellsPercent,
+    confident,
+    total: rects.length
+  };
+}
+
+// Pause before re-capturing so an animating grid can settle
+const RECAPTURE_DELAY = 50;
+
+function describeUncertain(cells) {
+  return cells.map(cell => `r${cell.row}c${cell.col} (${cell.uncertain})`).join(', ');
+}
+
+// Box-drawn grid for the console, sized to its dimensions
+function printGrid(grid) {
+  const line = (left, mid, right) => left + grid[0].map(() => '─────').join(mid) + right;
+  console.log(line('┌', '┬', '┐'));
+  grid.forEach((row, index) => {
+    console.log(`│${row.map(letter => ` ${letter.padStart(2)}  `.slice(0, 5)).join('│')}│`);
+    if (index < grid.length - 1) console.log(line('├', '┼', '┤'));
+  });
+  console.log(line('└', '┴', '┘') + '\n');
+}
+
+// Pause between grid-region captures while waiting for the next round
+const ROUND_POLL_DELAY = 50;
+// Grey level above which a signature pixel holds glyph, and by which it must
+// move to count as changed
+const DIFF_LEVEL = 32;
+// Signature pixels per cell side
+const SIGNATURE_CELL = 32;
+
+// Small greyscale copy of the grid region, for cheap before/after comparisons
+async function gridSignature(frame, geometry) {
+  return frameImage(frame)
+    .extract(frameRect(frame, gridBounds(geometry)))
+    .greyscale()
+    .resize(geometry.cols * SIGNATURE_CELL, geometry.rows * SIGNATURE_CELL, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+}
+
+// Share of the glyph pixels in either signature that changed, 0-100. Measured
+// against glyph pixels rather than the whole region, since glyphs are thin and
+// swapping every letter moves only a few percent of the region.
+function signatureDiff(a, b) {
+  let changed = 0;
+  let glyph = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] > DIFF_LEVEL || b[i] > DIFF_LEVEL) glyph++;
+    if (Math.abs(a[i] - b[i]) > DIFF_LEVEL) changed++;
+  }
+  return glyph === 0 ? 0 : (changed / glyph) * 100;
+}
+
+// After a round's keys, poll the grid region until it differs from the solved
+// grid and then holds still for one poll, so the next round is not read mid-
+// animation. Resolves with that capture, or null on timeout.
+async function waitForGridChange(signature, geometry, signal) {
+  const deadline = Date.now() + config.rounds.timeoutMs;
+  let changed = null;
+  
+  while (Date.now() < deadline) {
+    await sleep(ROUND_POLL_DELAY, undefined, { signal });
+    const frame = await captureFrame();
+    const current = await gridSignature(frame, geometry);
     
-    const cells = await Promise.all(cellPromises);
-    
-    // Step 4: Detect all letters in parallel (0.5s)
-    console.log('🔤 Detecting letters...');
-    const detectionPromises = cells.map(async ({ row, col, buffer }) => {
-      const result = await detectLetterFast(buffer);
-      return { row, col, letter: result.letter, confidence: result.confidence };
-    });
-    
-    const results = await Promise.all(detectionPromises);
+    if (changed && signatureDiff(changed, current) < config.rounds.changeThreshold) return frame;
+    changed = signatureDiff(signature, current) >= config.rounds.changeThreshold ? current : null;
+  }
+  return null;
+}
+
+// Same presence rule as watch mode: enough cells matched confidently
+function gridPresent(recognition) {
+  const confident = recognition.cells.length - recognition.uncertain.length;
+  return (confident / recognition.cells.length) * 100 >= config.watch.minCellsPercent;
+}
+
+// Recognize one round, re-capturing while any cell is uncertain so a guessed
+// key is never pressed. Later rounds start from the capture that showed the
+// change, and resolve null when the grid has gone instead of changing.
+// Every attempt's stages are checked against the round's time budget.
+async function recognizeRound(firstCapture, timings, { allowClosed, signal, stage, budget }) {
+  let frame = firstCapture;
+  for (let attempt = 0; ; attempt++) {
+    if (!frame) {
+      stage('capturing');
+      const captureStart = performance.now();
+      console.log('📸 Capturing screen...');
+      frame = await captureFrame();
+      // Cropping sources decode while capturing; that part is timed as decode
+      timings.capture = performance.now() - captureStart - (frame.decodeMs || 0);
+      budget.check('capture', timings.capture);
+    }
     
-    // Step 5: Build grid
-    const grid = Array(3).fill(null).map(() => Array(3).fill('?'));
-    results.forEach(({ row, col, letter }) => {
-      grid[row][col] = letter;
-    });
+    signal.throwIfAborted();
+    stage('detecting');
+    const recognition = await recognizeGrid(frame);
+    signal.throwIfAborted();
+    Object.assign(timings, recognition.timings);
+    for (const name of ['decode', 'locate', 'extract', 'detect']) budget.check(name, timings[name]);
+    if (recognition.uncertain.length === 0) return { frame, recognition };
+    if (allowClosed && !gridPresent(recognition)) return null;
     
-    // Display detected grid
-    console.log('\n📋 Detected Grid:');
-    console.log('┌─────┬─────┬─────┐');
-    for (let row = 0; row < 3; row++) {
-      console.log(`│  ${grid[row][0]}  │  ${grid[row][1]}  │  ${grid[row][2]}  │`);
-      if (row < 2) console.log('├─────┼─────┼─────┤');
+    const list = describeUncertain(recognition.uncertain);
+    if (attempt >= config.detection.maxRecaptures) {
+      const error = new Error(`Uncertain cells after ${attempt + 1} capture(s), no keys pressed: ${list}`);
+      error.uncertain = recognition.uncertain;
+      error.frame = frame;
+      error.recognition = recognition;
+      throw error;
     }
-    console.log('└─────┴─────┴─────┘\n');
-    
-    // Step 6: Press keys FAST (0.4s)
-    console.log('⌨️  Pressing keys...');
-    const sequence = [];
-    for (let row = 0; row < 3; row++) {
-      for (let col = 0; col < 3; col++) {
-        sequence.push(grid[row][col]);
+    console.log(`⚠️  Uncertain cells (${list}), re-capturing (${attempt + 1}/${config.detection.maxRecaptures})...`);
+    frame = null;
+    await sleep(RECAPTURE_DELAY, undefined, { signal });
+  }
+}
+
+// Capture and process grid - OPTIMIZED FOR SPEED. Solves up to rounds.max
+// grids in a row: after each round's keys it waits for the grid to change and
+// stops on the round count, a timeout or the grid closing. Each round is timed
+// per stage (see timing.js) and checked against budget.totalMs when
+// budget.mode is warn or abort.
+//   signal   AbortSignal checked by every stage; aborting ends the run as cancelled
+//   stage    stage(state, { round, maxRounds }) on entering capturing, detecting,
+//            typing or verifying (see run.js)
+//   onGrid   onGrid({ round, grid, cells, geometry }) once a round's grid is read, before typing
+//   onKey    onKey({ round, index, label, key, timestamp, skipped }) per cell typed,
+//            see pressKeySequenceFast
+//   onRound  onRound(round) after each round's keys have been pressed
+async function solveMinigameFast({
+  signal = new AbortController().signal,
+  stage = () => {},
+  onGrid = () => {},
+  onKey = () => {},
+  onRound = () => {}
+} = {}) {
+  const startTime = performance.now();
+  const rounds = [];
+  const maxRounds = config.rounds.max;
+  let stopReason = 'rounds';
+  let nextCapture = null;
+  let current = null;
+  // The current round's stage timings, kept for the debug run if it fails
+  let timings = {};
+  console.log('🚀 Starting FAST solver...\n');
+  
+  try {
+    for (let round = 1; round <= maxRounds; round++) {
+      const roundStart = performance.now();
+      timings = {};
+      if (round > 1) timings.wait = roundStart - rounds[rounds.length - 1].finishedAt;
+      const budget = createBudget(config.budget);
+      
+      // Step 1 + 2: Capture, locate, extract and detect
+      current = null;
+      const roundStage = (state) => stage(state, { round, maxRounds });
+      const recognized = await recognizeRound(nextCapture, timings, { allowClosed: round > 1, signal, stage: roundStage, budget });
+      if (!recognized) {
+        stopReason = 'grid-closed';
+        console.log('🏁 Grid closed');
+        break;
+      }
+      current = recognized;
+      const { frame, recognition } = current;
+      const { grid, cells, geometry } = recognition;
+      
+      // Display detected grid
+      console.log(`\n📋 Detected Grid${maxRounds > 1 ? ` (round ${round})` : ''}:`);
+      printGrid(grid);
+      onGrid({ round, grid, cells, geometry });
+      
+      // Step 3: Press keys FAST
+      console.log('⌨️  Pressing keys...');
+      roundStage('typing');
+      const inputStart = performance.now();
+      const keys = [];
+      current.keys = keys;
+      // Row by row, left to right
+      await pressKeySequenceFast(grid.flat(), signal, (event) => {
+        const keyEvent = { round, ...event };
+        keys.push(keyEvent);
+        onKey(keyEvent);
+      });
+      timings.input = performance.now() - inputStart;
+      timings.total = performance.now() - roundStart;
+      budget.check('input', timings.input);
+      
+      const { overruns } = budget;
+      const result = { round, grid, cells, geometry, timings, keys, overruns, finishedAt: performance.now() };
+      rounds.push(result);
+      await saveDebugRun({ frame, recognition, timings, keys, overruns, success: true });
+      onRound(result);
+      
+      if (round === maxRounds) break;
+      
+      // Wait for the next grid
+      console.log('⏳ Waiting for the next round...');
+      roundStage('verifying');
+      nextCapture = await waitForGridChange(await gridSignature(frame, geometry), geometry, signal);
+      if (!nextCapture) {
+        stopReason = 'timeout';
+        console.log('⌛ No new grid before the round timeout');
+        break;
       }
     }
     
-    await pressKeySequenceFast(sequence);
-    
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`\n✅ Complete! Total time: ${totalTime}s\n`);
+    const last = rounds[rounds.length - 1];
+    const totalTime = ((performance.now() - startTime) / 1000).toFixed(2);
+    console.log(`\n✅ Complete! ${rounds.length} round(s), total time: ${totalTime}s\n`);
     
-    return { success: true, grid, time: totalTime };
+    return {
+      success: true,
+      rounds,
+      stopReason,
+      grid: last.grid,
+      cells: last.cells,
+      geometry: last.geometry,
+      time: totalTime
+    };
     
   } catch (error) {
-    console.error('❌ Error:', error);
-    return { success: false, error: error.message };
+    // A cancel is not a failure: no error log and no failed debug run
+    if (signal.aborted) {
+      console.log(`⏹️  Cancelled after ${rounds.length} round(s)`);
+      return { success: false, cancelled: true, error: 'Cancelled', rounds, grid: null, uncertain: [], geometry: null };
+    }
+    // Uncertain cells and budget aborts are expected outcomes; only surprises get a stack.
+    // Never log the error itself, it carries the frame and every cell's pixels.
+    const expected = error.uncertain || error.overrun;
+    console.error(expected ? `❌ Error: ${error.message}` : `❌ ${error.stack || error}`);
+    const frame = error.frame || (current && current.frame) || null;
+    const recognition = error.recognition || (current && current.recognition) || null;
+    const keys = (current && current.keys) || [];
+    await saveDebugRun({ frame, recognition, timings: { ...timings, total: performance.now() - startTime }, keys, success: false, error: error.message });
+    return {
+      success: false,
+      error: error.message,
+      rounds,
+      grid: recognition ? recognition.grid : null,
+      cells: recognition ? recognition.cells : [],
+      uncertain: error.uncertain || [],
+      geometry: recognition ? recognition.geometry : null
+    };
   }
 }
 
-// Press keys as fast as possible
-async function pressKeySequenceFast(keys) {
-  for (const key of keys) {
-    if (shouldStop) break;
-    if (key === '?') continue;
-    
-    const keyLower = key.toLowerCase();
-    
-    // Use PowerShell SendKeys - FASTEST method
-    const psScript = `
-      Add-Type -AssemblyName System.Windows.Forms
-      [System.Windows.Forms.SendKeys]::SendWait('${keyLower}')
-    `;
-    
-    await new Promise((resolve, reject) => {
-      exec(`powershell -Command "${psScript.replace(/\n/g, ' ')}"`, (error) => {
-        if (error) reject(error);
-        else resolve();
-      });
+// Write debug artifacts when debug capture is on; never fails the run
+async function saveDebugRun(run) {
+  if (!config.debug.enabled) return;
+  try {
+    await writeDebugRun({
+      ...run,
+      retention: { keepRuns: config.debug.keepRuns, maxSizeMB: config.debug.maxSizeMB }
     });
+  } catch (err) {
+    console.error('⚠️  Could not save debug run:', err.message);
+  }
+}
+
+// Create and start the configured input backend, reporting whether it can type
+async function initInput() {
+  await stopInput();
+  const backend = createInputBackend(config.input.backend);
+  
+  let status = await backend.check();
+  if (status.available) {
+    try {
+      await backend.start();
+      input = backend;
+    } catch (err) {
+      status = { available: false, reason: err.message };
+    }
+  }
+  
+  inputStatus = { backend: backend.name, available: status.available, reason: status.reason };
+  if (inputStatus.available) {
+    console.log(`⌨️  Input backend: ${backend.name}`);
+  } else {
+    console.log(`⚠️  Input backend ${backend.name} unavailable: ${status.reason}`);
+  }
+  return inputStatus;
+}
+
+async function stopInput() {
+  if (!input) return;
+  const backend = input;
+  input = null;
+  await backend.stop();
+}
+
+function getInputStatus() {
+  return inputStatus;
+}
+
+// The live backend, e.g. to read a recording backend's events
+function getInputBackend() {
+  return input;
+}
+
+// Press keys as fast as possible; an abort stops before the next key.
+// onKey({ index, label, key, timestamp, skipped }) follows every cell in order:
+// timestamp is when the key was sent, or when a '?' cell was skipped.
+async function pressKeySequenceFast(labels, signal = new AbortController().signal, onKey = () => {}) {
+  if (!input) {
+    const status = await initInput();
+    if (!status.available) {
+      throw new Error(`Input backend ${status.backend} unavailable: ${status.reason}`);
+    }
+  }
+  
+  for (const [index, label] of labels.entries()) {
+    signal.throwIfAborted();
+    if (label === '?') {
+      onKey({ index, label, key: null, timestamp: Date.now(), skipped: true });
+      continue;
+    }
+    
+    // Grid cells hold template labels; the manifest says which key each one sends
+    const key = getKeyForLabel(label);
+    if (!key) throw new Error(`No key mapped for template label ${label}`);
+    await input.sendKey(key);
+    onKey({ index, label, key, timestamp: Date.now(), skipped: false });
     
-    // Minimal delay between keys
-    await new Promise(resolve => setTimeout(resolve, config.keyDelay));
+    // Minimal delay between keys, jittered by ±delayVariance
+    const jitter = Math.round((Math.random() * 2 - 1) * (config.delayVariance || 0));
+    await sleep(Math.max(0, config.keyDelay + jitter), undefined, { signal });
   }
 }
 
 // Update configuration
 function updateConfig(newConfig) {
+  const previousBackend = config.input.backend;
+  const previousColor = config.color;
+  const previousCapture = config.capture;
   config = { ...config, ...newConfig };
+  
+  // A new source or display takes effect on the next capture
+  if (JSON.stringify(config.capture) !== JSON.stringify(previousCapture)) captureSource = null;
+  
+  // Template masks depend on the colour settings
+  if (config.color.profile !== previousColor.profile || config.color.adaptive !== previousColor.adaptive) {
+    buildTemplateMasks();
+  }
+  
+  // Switching backends drops the running one; the next run starts the new one
+  if (config.input.backend !== previousBackend) {
+    stopInput().catch(err => console.error('⚠️  Could not stop input backend:', err.message));
+    inputStatus = null;
+  }
 }
 
 function getConfig() {
   return config;
 }
 
-function stopSolver() {
-  shouldStop = true;
-}
-
-function resetStop() {
-  shouldStop = false;
-}
-
 module.exports = {
   loadTemplates,
+  getTemplateStatus,
+  checkTemplates,
   solveMinigameFast,
+  recognizeGrid,
+  probeGrid,
+  locateGrid,
+  captureCells,
+  captureFrame,
+  captureDisplay,
+  listDisplays,
+  binarizeCell,
   updateConfig,
   getConfig,
-  stopSolver,
-  resetStop
+  getDebugFolder,
+  initInput,
+  stopInput,
+  stopMatcher,
+  getInputStatus,
+  getInputBackend
 };
\ No newline at end of file
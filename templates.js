@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseKeySpec } = require('./input');
+
+// Templates shipped with the app. Packaged builds keep these inside the
+// read-only archive, so main.js points the solver at a writable copy.
+const bundledDir = path.join(__dirname, 'letter_templates');
+const MANIFEST_FILE = 'manifest.json';
+
+// Used when a templates folder has no manifest: the original QWERASD minigame
+const DEFAULT_KEYS = { Q: 'q', W: 'w', E: 'e', R: 'r', A: 'a', S: 's', D: 'd' };
+
+let templatesDir = bundledDir;
+// Template label -> key spec to send, in manifest order
+let keyMap = { ...DEFAULT_KEYS };
+
+function getTemplatesDir() {
+  return templatesDir;
+}
+
+// Switch to a writable templates folder, seeding it from the bundled set the first time
+async function useTemplatesDir(dir) {
+  templatesDir = dir;
+
+  let existing = [];
+  try {
+    existing = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (existing.some(name => name.toLowerCase().endsWith('.png'))) return;
+
+  await fs.mkdir(dir, { recursive: true });
+  for (const name of await fs.readdir(bundledDir)) {
+    if (!name.toLowerCase().endsWith('.png') && name !== MANIFEST_FILE) continue;
+    await fs.copyFile(path.join(bundledDir, name), path.join(dir, name));
+  }
+  console.log(`📂 Seeded templates into ${dir}`);
+}
+
+// Read <templatesDir>/manifest.json: { "keys": { "<label>": "<key spec>" } }.
+// Labels name the template files (UP.png, UP_2.png); key specs are what gets sent.
+async function loadManifest() {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(path.join(templatesDir, MANIFEST_FILE), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Invalid ${MANIFEST_FILE}: ${err.message}`);
+    keyMap = { ...DEFAULT_KEYS };
+    return keyMap;
+  }
+
+  if (!raw || typeof raw.keys !== 'object' || Array.isArray(raw.keys) || Object.keys(raw.keys).length === 0) {
+    throw new Error(`${MANIFEST_FILE} needs a non-empty "keys" object mapping labels to keys`);
+  }
+  for (const [label, spec] of Object.entries(raw.keys)) {
+    // Underscores separate variants in file names, so labels cannot contain them
+    if (!/^[A-Za-z0-9]+$/.test(label)) throw new Error(`Invalid label "${label}" in ${MANIFEST_FILE} (letters and digits only)`);
+    parseKeySpec(spec);
+  }
+
+  keyMap = { ...raw.keys };
+  return keyMap;
+}
+
+// Template labels in manifest order
+function getLabels() {
+  return Object.keys(keyMap);
+}
+
+function getKeyForLabel(label) {
+  return keyMap[label];
+}
+
+function validateLetter(letter) {
+  if (!keyMap[letter]) {
+    throw new Error(`Unknown label: ${letter} (expected one of ${getLabels().join(', ')})`);
+  }
+}
+
+// Every template image for a letter. Variants can be named `Q_2.png`,
+// `Q_dim.png` or live in a `Q/` folder; the id is the path without `.png`.
+async function listVariantFiles(letter) {
+  const variants = [];
+  let entries = [];
+  try {
+    entries = await fs.readdir(templatesDir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return variants;
+    throw err;
+  }
+
+  const variantName = new RegExp(`^${letter}(_[A-Za-z0-9-]+)?\\.png$`);
+  for (const entry of entries) {
+    if (entry.isFile() && variantName.test(entry.name)) {
+      variants.push({ letter, id: entry.name.slice(0, -4), path: path.join(templatesDir, entry.name) });
+    }
+  }
+
+  const letterDir = entries.find(entry => entry.isDirectory() && entry.name === letter);
+  if (letterDir) {
+    for (const name of await fs.readdir(path.join(templatesDir, letter))) {
+      if (!name.toLowerCase().endsWith('.png')) continue;
+      variants.push({ letter, id: `${letter}/${name.slice(0, -4)}`, path: path.join(templatesDir, letter, name) });
+    }
+  }
+
+  return variants.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+// Template files currently on disk, as PNG buffers
+async function listTemplateFiles() {
+  const files = [];
+  for (const letter of getLabels()) {
+    for (const variant of await listVariantFiles(letter)) {
+      files.push({ ...variant, png: await fs.readFile(variant.path) });
+    }
+  }
+  return files;
+}
+
+// Save a template: 'replace' overwrites <letter>.png, 'variant' adds the next <letter>_N.png
+async function saveTemplate(letter, pngBuffer, mode = 'replace') {
+  validateLetter(letter);
+  await fs.mkdir(templatesDir, { recursive: true });
+
+  let name = letter;
+  if (mode === 'variant') {
+    const taken = new Set((await listVariantFiles(letter)).map(variant => variant.id));
+    let n = 2;
+    while (taken.has(`${letter}_${n}`)) n++;
+    name = `${letter}_${n}`;
+  }
+
+  const filePath = path.join(templatesDir, `${name}.png`);
+  await fs.writeFile(filePath, pngBuffer);
+  console.log(`💾 Saved template ${name}: ${filePath}`);
+  return name;
+}
+
+// Delete one template image by id; only ids that list as templates are accepted
+async function deleteTemplate(id) {
+  const letter = id.split(/[/_]/)[0];
+  validateLetter(letter);
+  const variant = (await listVariantFiles(letter)).find(v => v.id === id);
+  if (!variant) throw new Error(`No template named ${id}`);
+
+  await fs.rm(variant.path, { force: true });
+  console.log(`🗑️  Deleted template ${id}`);
+}
+
+module.exports = {
+  getTemplatesDir,
+  loadManifest,
+  getLabels,
+  getKeyForLabel,
+  useTemplatesDir,
+  listVariantFiles,
+  listTemplateFiles,
+  saveTemplate,
+  deleteTemplate
+};
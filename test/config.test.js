@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const configStore = require('../config');
+
+// The store logs every load; quiet, so only the test runner writes to stdout
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'mhsolver-config-'));
+}
+
+test('changing a setting keeps the fields of a newer config version', async (t) => {
+  const dir = await tempDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'config.json');
+  const newer = configStore.CONFIG_VERSION + 1;
+  await fs.writeFile(file, JSON.stringify({
+    version: newer,
+    alignment: { maxShift: 1, future: 'kept' },
+    futureSection: { enabled: true }
+  }));
+
+  await configStore.loadConfig(dir);
+  await configStore.updateConfig({ alignment: { maxShift: 2 } });
+
+  const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.strictEqual(saved.version, newer);
+  assert.strictEqual(saved.alignment.maxShift, 2);
+  assert.strictEqual(saved.alignment.future, 'kept');
+  assert.deepStrictEqual(saved.futureSection, { enabled: true });
+});
+
+test('a current config is saved with only the known settings', async (t) => {
+  const dir = await tempDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'config.json');
+  await fs.writeFile(file, JSON.stringify({ version: configStore.CONFIG_VERSION, stale: true }));
+
+  await configStore.loadConfig(dir);
+  await configStore.updateConfig({ alignment: { maxShift: 2 } });
+
+  const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.strictEqual(saved.version, configStore.CONFIG_VERSION);
+  assert.strictEqual(saved.alignment.maxShift, 2);
+  assert.strictEqual(saved.stale, undefined);
+});
@@ -0,0 +1,109 @@
+// Stage timing: the stages every round is timed in, the rolling profile the
+// settings panel estimates from, and the optional per-round time budget.
+//
+// Stages, in run order (fractional ms from performance.now):
+//   capture  grabbing the screen, up to an encoded image
+//   decode   turning that image into raw pixels (cropped to the grid area)
+//   locate   geometry and the grid locator
+//   extract  cutting and resizing the cells
+//   detect   template matching
+//   input    typing the keys, key delays included
+const STAGES = ['capture', 'decode', 'locate', 'extract', 'detect', 'input'];
+const BUDGET_MODES = ['off', 'warn', 'abort'];
+// Share of the budget each stage may use, in percent
+const BUDGET_SHARES = { capture: 25, decode: 10, locate: 10, extract: 10, detect: 10, input: 35 };
+// Most recent rounds the profile is built from
+const PROFILE_ROUNDS = 50;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// { mean, variance } of a list of numbers, null when empty
+function moments(values) {
+  if (values.length === 0) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, variance };
+}
+
+// Rolling profile from the run history (history.js entries, oldest first):
+// per-stage mean and spread over the last PROFILE_ROUNDS completed rounds.
+// Input is kept as the time per key on top of the key delay, since the delay
+// is a setting and changes between runs.
+function computeProfile(runs) {
+  const rounds = runs
+    .filter(run => run.outcome === 'done')
+    .flatMap(run => run.rounds.map(round => ({ ...round, keyDelay: run.keyDelay })))
+    .slice(-PROFILE_ROUNDS);
+
+  const stages = {};
+  for (const stage of STAGES.filter(stage => stage !== 'input')) {
+    stages[stage] = moments(rounds.map(round => round.timings[stage]).filter(ms => typeof ms === 'number'));
+  }
+  const perKey = moments(rounds
+    .filter(round => round.keys > 0 && typeof round.timings.input === 'number' && typeof round.keyDelay === 'number')
+    .map(round => (round.timings.input - round.keys * round.keyDelay) / round.keys));
+
+  return { rounds: rounds.length, stages, perKey };
+}
+
+// Expected time for one round with the given settings, as { meanMs, stddevMs,
+// stages: { stage: meanMs } }. Stages are treated as independent; the key
+// jitter is uniform over ±delayVariance. Stages never measured are left out,
+// so with an empty profile only the key delays are counted.
+function estimateRound(profile, { keyDelay, delayVariance, keyCount }) {
+  let meanMs = 0;
+  let variance = 0;
+  const stages = {};
+
+  for (const [stage, measured] of Object.entries(profile.stages)) {
+    if (!measured) continue;
+    stages[stage] = round1(measured.mean);
+    meanMs += measured.mean;
+    variance += measured.variance;
+  }
+
+  const perKey = profile.perKey || { mean: 0, variance: 0 };
+  const inputMs = keyCount * (keyDelay + perKey.mean);
+  stages.input = round1(inputMs);
+  meanMs += inputMs;
+  variance += keyCount * (perKey.variance + (delayVariance ** 2) / 3);
+
+  return { meanMs: round1(meanMs), stddevMs: round1(Math.sqrt(variance)), stages, rounds: profile.rounds };
+}
+
+// Per-round time budget. check(stage, ms) after each stage: a stage over its
+// share of totalMs is logged and kept in `overruns` in warn mode, and throws in
+// abort mode. Stages are checked once they finish, so typing is never cut off
+// halfway through a grid.
+function createBudget({ mode, totalMs }) {
+  const overruns = [];
+
+  return {
+    overruns,
+
+    check(stage, ms) {
+      if (mode === 'off' || typeof ms !== 'number') return;
+      const limitMs = (totalMs * BUDGET_SHARES[stage]) / 100;
+      if (ms <= limitMs) return;
+
+      const overrun = { stage, ms: round1(ms), limitMs: round1(limitMs) };
+      const message = `${stage} took ${overrun.ms}ms, over its ${overrun.limitMs}ms share of the ${totalMs}ms budget`;
+      if (mode === 'abort') {
+        const error = new Error(`Time budget exceeded: ${message}`);
+        error.overrun = overrun;
+        throw error;
+      }
+      overruns.push(overrun);
+      console.log(`⏱️  ${message}`);
+    }
+  };
+}
+
+module.exports = {
+  STAGES,
+  BUDGET_MODES,
+  BUDGET_SHARES,
+  computeProfile,
+  estimateRound,
+  createBudget
+};
@@ -0,0 +1,119 @@
+// Watch mode: probe the screen on an interval and trigger one solve each time
+// the grid appears, instead of waiting for the hotkey.
+//
+// A grid must be seen on `confirmProbes` probes in a row before it counts,
+// so a grid still fading in is not solved early. After a solve the watcher
+// waits until a probe no longer sees a grid before it can fire again; a failed
+// solve re-arms it after `cooldownMs` so the same grid is retried. A cancelled
+// solve counts as handled: the user stopped it, so that grid is not retried.
+//
+// solve() resolves 'solved', 'cancelled' or 'failed'.
+//
+// States reported through onStatus: off, watching, confirming, solving,
+// waiting (solved or cancelled, grid still on screen), cooldown, error.
+function createWatcher({ probe, solve, isBusy, settings, onStatus }) {
+  let running = false;
+  // Bumped on every start/stop so a probe still in flight from an earlier run is dropped
+  let generation = 0;
+  let timer = null;
+  let armed = true;
+  // What ended the last solve, shown while its grid stays on screen
+  let waitingMessage = '';
+  let seen = 0;
+  let resumeAt = 0;
+  let status = { state: 'off', message: 'Watch mode off' };
+
+  function report(state, message) {
+    if (status.state === state && status.message === message) return;
+    status = { state, message };
+    onStatus(status);
+  }
+
+  function schedule(run) {
+    if (run !== generation) return;
+    const delay = Math.max(settings().intervalMs, resumeAt - Date.now());
+    timer = setTimeout(() => tick(run), delay);
+  }
+
+  async function tick(run) {
+    timer = null;
+    if (run !== generation) return;
+    const { confirmProbes, cooldownMs } = settings();
+
+    // Never probe over a running solve; it owns the screen and the keys
+    if (isBusy()) {
+      schedule(run);
+      return;
+    }
+
+    try {
+      const result = await probe();
+      if (run !== generation) return;
+
+      if (!result.present) {
+        seen = 0;
+        armed = true;
+        report('watching', 'Watching for the minigame');
+      } else if (!armed) {
+        report('waiting', waitingMessage);
+      } else if (++seen < confirmProbes) {
+        report('confirming', `Grid spotted (${result.confident}/${result.total} cells), confirming...`);
+      } else {
+        seen = 0;
+        armed = false;
+        report('solving', 'Grid detected - solving');
+        const outcome = await solve();
+        if (run !== generation) return;
+        if (outcome === 'cancelled') {
+          waitingMessage = 'Cancelled - waiting for the grid to close';
+          report('waiting', waitingMessage);
+        } else if (outcome !== 'solved') {
+          // Let the same grid be tried again once the cooldown is over
+          armed = true;
+          resumeAt = Date.now() + cooldownMs;
+          report('cooldown', `Solve failed - retrying in ${(cooldownMs / 1000).toFixed(1)}s`);
+        } else {
+          waitingMessage = 'Solved - waiting for the grid to close';
+          report('waiting', waitingMessage);
+        }
+      }
+    } catch (err) {
+      seen = 0;
+      report('error', `Watch probe failed: ${err.message}`);
+    }
+    schedule(run);
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      generation++;
+      armed = true;
+      seen = 0;
+      resumeAt = 0;
+      report('watching', 'Watching for the minigame');
+      schedule(generation);
+    },
+
+    stop() {
+      running = false;
+      generation++;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      report('off', 'Watch mode off');
+    },
+
+    isRunning() {
+      return running;
+    },
+
+    getStatus() {
+      return status;
+    }
+  };
+}
+
+module.exports = {
+  createWatcher
+};